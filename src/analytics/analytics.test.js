@@ -0,0 +1,176 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { Analytics, reportToCsv, reportToJson } from './analytics';
+import { EventType } from '../store/utils.types';
+import events from '../socket/events.json';
+
+const hour = 60 * 60 * 1000;
+
+const inbound = (conversationId, timestamp) => ({
+  type: EventType.MessageReceived,
+  data: { conversationId, timestamp, subject: 'Subject', body: 'Question' },
+});
+const response = (conversationId, timestamp, user) => ({
+  type: EventType.MessageReceived,
+  data: { conversationId, timestamp, body: 'Answer', user },
+});
+const assign = (conversationId, timestamp, user) => ({
+  type: EventType.Assigned,
+  data: { conversationId, timestamp, user },
+});
+
+describe('Analytics', () => {
+  let analytics;
+
+  beforeEach(() => {
+    analytics = new Analytics();
+  });
+
+  it('should report the open conversations, the messages and the response time of every agent', () => {
+    analytics.handleEvents([
+      inbound('conversation1', 1000),
+      assign('conversation1', 2000, 'ann'),
+      response('conversation1', 5000, 'ann'),
+      inbound('conversation2', 1000),
+      assign('conversation2', 1500, 'bob'),
+      inbound('conversation2', 1600),
+      response('conversation2', 2000, 'bob'),
+      { type: EventType.ConversationClosed, data: { conversationId: 'conversation2', timestamp: 3000 } },
+    ]);
+
+    expect(analytics.getReport()).toEqual({
+      from: null,
+      to: null,
+      groupBy: null,
+      rows: [
+        {
+          bucketStart: null,
+          agent: 'ann',
+          openConversations: 1,
+          messagesHandled: 1,
+          responses: 1,
+          averageResponseTimeMs: 4000,
+        },
+        {
+          bucketStart: null,
+          agent: 'bob',
+          openConversations: 0,
+          messagesHandled: 2,
+          responses: 1,
+          averageResponseTimeMs: 1000,
+        },
+      ],
+    });
+  });
+
+  it('should not depend on the order of the events and ignore the duplicates', () => {
+    const orderedEvents = [
+      inbound('conversation1', 1000),
+      assign('conversation1', 2000, 'ann'),
+      inbound('conversation1', 3000),
+    ];
+    analytics.handleEvents(orderedEvents);
+
+    const shuffledAnalytics = new Analytics();
+    shuffledAnalytics.handleEvents([orderedEvents[2], orderedEvents[0], orderedEvents[1], orderedEvents[2]]);
+
+    expect(shuffledAnalytics.getReport()).toEqual(analytics.getReport());
+    expect(shuffledAnalytics.getReport().rows[0].messagesHandled).toBe(1);
+  });
+
+  it('should group the activity by hour', () => {
+    analytics.handleEvents([
+      assign('conversation1', 10 * hour, 'ann'),
+      inbound('conversation1', 10 * hour + 1),
+      inbound('conversation1', 12 * hour + 1),
+      response('conversation1', 12 * hour + 2, 'ann'),
+    ]);
+
+    const { rows } = analytics.getReport({ groupBy: 'hour' });
+
+    const activity = rows.map((row) => [row.bucketStart, row.messagesHandled, row.responses]);
+    expect(activity).toEqual([
+      [10 * hour, 1, 0],
+      [12 * hour, 2, 1],
+    ]);
+    expect(rows.every(({ openConversations }) => openConversations === 1)).toBe(true);
+  });
+
+  it('should only count the events of the period but keep the state given by the older ones', () => {
+    analytics.handleEvents([
+      assign('conversation1', 1000, 'ann'),
+      inbound('conversation1', 2000),
+      inbound('conversation1', 3000),
+      inbound('conversation1', 4000),
+    ]);
+
+    const report = analytics.getReport({ from: 2500, to: 4000, groupBy: 'day' });
+
+    expect(report.rows).toEqual([
+      {
+        bucketStart: 0,
+        agent: 'ann',
+        openConversations: 1,
+        messagesHandled: 1,
+        responses: 0,
+        averageResponseTimeMs: null,
+      },
+    ]);
+  });
+
+  it('should ignore the invalid events', () => {
+    analytics.handleEvents([
+      { type: EventType.Assigned, data: { conversationId: 'conversation1', timestamp: 1 } },
+      null,
+    ]);
+
+    expect(analytics.getReport().rows).toEqual([]);
+  });
+
+  it('should forget the events on reset', () => {
+    analytics.handleEvents([assign('conversation1', 1000, 'ann'), assign('conversation2', 2000, 'ann')]);
+
+    analytics.reset([assign('conversation1', 1000, 'ann')]);
+
+    expect(analytics.getReport().rows[0].openConversations).toBe(1);
+  });
+
+  it('should report the bundled events', () => {
+    analytics.handleEvents(events);
+
+    const { rows } = analytics.getReport({ groupBy: 'day' });
+
+    expect(rows.length).toBeGreaterThan(0);
+    expect(rows.every(({ bucketStart }) => bucketStart % (24 * hour) === 0)).toBe(true);
+  });
+});
+
+describe('Report export', () => {
+  const report = {
+    from: null,
+    to: null,
+    groupBy: 'hour',
+    rows: [
+      {
+        bucketStart: 0,
+        agent: 'Doe, "JD"',
+        openConversations: 1,
+        messagesHandled: 2,
+        responses: 0,
+        averageResponseTimeMs: null,
+      },
+    ],
+  };
+
+  it('should export the report as JSON', () => {
+    expect(JSON.parse(reportToJson(report))).toEqual(report);
+  });
+
+  it('should export the rows as CSV with a header', () => {
+    expect(reportToCsv(report)).toBe(
+      [
+        'bucketStart,agent,openConversations,messagesHandled,responses,averageResponseTimeMs',
+        '1970-01-01T00:00:00.000Z,"Doe, ""JD""",1,2,0,',
+      ].join('\n')
+    );
+  });
+});
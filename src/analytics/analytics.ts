@@ -0,0 +1,284 @@
+import { getEventKey } from '../store/deduplicator';
+import { eventSchemas, validateEvent } from '../store/validation';
+import { ConversationEvent, ConversationStatus, ConversationStatusKeys, EventType } from '../store/utils.types';
+
+const hourMs = 60 * 60 * 1000;
+
+//Size of the time buckets, they start at a round hour or day in UTC
+export const ReportGroupBy = {
+  Hour: 'hour',
+  Day: 'day',
+} as const;
+
+export type ReportGroupByKeys = (typeof ReportGroupBy)[keyof typeof ReportGroupBy];
+
+const bucketSizesMs: Record<ReportGroupByKeys, number> = {
+  hour: hourMs,
+  day: 24 * hourMs,
+};
+
+export type ReportOptions = {
+  /*Only the events from (included) to (excluded) are counted,
+  the older events still give the state (assignee, status) of the conversations */
+  from?: number;
+  to?: number;
+  //Without it the whole period is one bucket
+  groupBy?: ReportGroupByKeys;
+};
+
+//The activity of an agent in a time bucket
+export type AgentReportRow = {
+  //Start of the bucket, null when the report is not grouped by time
+  bucketStart: number | null;
+  agent: string;
+  //Conversations assigned to the agent and not closed or archived at the end of the bucket
+  openConversations: number;
+  //Messages of the conversations assigned to the agent, and the responses the agent sent
+  messagesHandled: number;
+  responses: number;
+  //From the oldest unanswered inbound message to the response, null without responses
+  averageResponseTimeMs: number | null;
+};
+
+export type AnalyticsReport = {
+  from: number | null;
+  to: number | null;
+  groupBy: ReportGroupByKeys | null;
+  //Sorted by bucket, then by agent
+  rows: AgentReportRow[];
+};
+
+//The state of a conversation while the events are replayed for a report
+type ConversationState = {
+  assignedUser: string | null;
+  status: ConversationStatusKeys;
+  awaitingResponseSince: number | null;
+};
+
+type AgentTotals = { messagesHandled: number; responses: number; responseTimeMs: number };
+
+/**
+ * Aggregates the activity of the agents from the same event stream as Store#handleEvent.
+ * The events are kept and the report replays them in timestamp order, so it does not depend on the order
+ * in which they were received. The invalid events and the duplicates (same key as in the Store) are ignored.
+ * A message without a user is an inbound message of the customer, a message with a user is the response of an agent.
+ */
+export class Analytics {
+  private events: ConversationEvent[] = [];
+
+  private uniqueEvents = new Set<string>();
+
+  handleEvent(event: ConversationEvent): void {
+    if (validateEvent(event, eventSchemas)) {
+      return;
+    }
+
+    const eventId = getEventKey(event);
+    if (this.uniqueEvents.has(eventId)) {
+      return;
+    }
+    this.uniqueEvents.add(eventId);
+    this.events.push(event);
+  }
+
+  handleEvents(events: readonly ConversationEvent[]): void {
+    events.forEach((event) => this.handleEvent(event));
+  }
+
+  //Drops the events and keeps the given ones instead, like Store#reset after a seek
+  reset(events: readonly ConversationEvent[] = []): void {
+    this.events = [];
+    this.uniqueEvents.clear();
+    this.handleEvents(events);
+  }
+
+  /**
+   * Returns the activity of every agent, by time bucket when groupBy is given.
+   * When grouped by time, a bucket only has rows if something happened in it.
+   *
+   * @param {{ from?: number, to?: number, groupBy?: 'hour' | 'day' }} options
+   * @returns {AnalyticsReport}
+   */
+  getReport({ from, to, groupBy }: ReportOptions = {}): AnalyticsReport {
+    const report: AnalyticsReport = { from: from ?? null, to: to ?? null, groupBy: groupBy ?? null, rows: [] };
+    const conversations = new Map<string, ConversationState>();
+    //Without groupBy there is a single bucket, it has rows even if nothing happened in the period
+    let bucketStart: number | null = groupBy ? null : 0;
+    let totals = new Map<string, AgentTotals>();
+
+    //The open conversations are counted when the bucket ends
+    const closeBucket = () => {
+      if (bucketStart !== null) {
+        report.rows.push(...createRows(groupBy ? bucketStart : null, totals, conversations));
+      }
+      totals = new Map();
+    };
+
+    //Array#sort is stable, the events with the same timestamp keep their arrival order
+    const sortedEvents = [...this.events].sort((a, b) => a.data.timestamp - b.data.timestamp);
+
+    for (const event of sortedEvents) {
+      const { timestamp } = event.data;
+      if (to !== undefined && timestamp >= to) {
+        break;
+      }
+
+      const isCounted = from === undefined || timestamp >= from;
+      if (isCounted) {
+        const eventBucketStart = groupBy ? Math.floor(timestamp / bucketSizesMs[groupBy]) * bucketSizesMs[groupBy] : 0;
+        if (eventBucketStart !== bucketStart) {
+          closeBucket();
+          bucketStart = eventBucketStart;
+        }
+      }
+
+      applyEvent(conversations, event, isCounted ? totals : null);
+    }
+    closeBucket();
+
+    return report;
+  }
+}
+
+function getTotals(totals: Map<string, AgentTotals>, agent: string): AgentTotals {
+  let agentTotals = totals.get(agent);
+  if (!agentTotals) {
+    agentTotals = { messagesHandled: 0, responses: 0, responseTimeMs: 0 };
+    totals.set(agent, agentTotals);
+  }
+  return agentTotals;
+}
+
+//Updates the state of the conversation and, if the event is in the period of the report, the totals of the agents
+function applyEvent(
+  conversations: Map<string, ConversationState>,
+  { type, data }: ConversationEvent,
+  totals: Map<string, AgentTotals> | null
+): void {
+  const { conversationId, timestamp, user } = data;
+  let conversation = conversations.get(conversationId);
+  if (!conversation) {
+    conversation = { assignedUser: null, status: ConversationStatus.Open, awaitingResponseSince: null };
+    conversations.set(conversationId, conversation);
+  }
+
+  switch (type) {
+    case EventType.MessageReceived: {
+      const agent = user || conversation.assignedUser;
+      const agentTotals = totals && agent ? getTotals(totals, agent) : null;
+      if (agentTotals) {
+        agentTotals.messagesHandled++;
+      }
+
+      if (!user) {
+        conversation.awaitingResponseSince = conversation.awaitingResponseSince ?? timestamp;
+      } else if (conversation.awaitingResponseSince !== null) {
+        if (agentTotals) {
+          agentTotals.responses++;
+          agentTotals.responseTimeMs += timestamp - conversation.awaitingResponseSince;
+        }
+        conversation.awaitingResponseSince = null;
+      }
+      break;
+    }
+
+    case EventType.Assigned:
+      conversation.assignedUser = user || null;
+      break;
+
+    case EventType.Unassigned:
+      conversation.assignedUser = null;
+      break;
+
+    case EventType.ConversationClosed:
+      conversation.status = ConversationStatus.Closed;
+      break;
+
+    case EventType.ConversationArchived:
+      conversation.status = ConversationStatus.Archived;
+      break;
+
+    case EventType.ConversationReopened:
+      conversation.status = ConversationStatus.Open;
+      break;
+
+    //A snoozed conversation is still owned by its agent
+    case EventType.ConversationSnoozed:
+      conversation.status = ConversationStatus.Snoozed;
+      break;
+
+    default:
+      //The other events (typing, read, tags) are not part of the report
+      break;
+  }
+}
+
+//One row for every agent who was active in the bucket or owns open conversations at its end
+function createRows(
+  bucketStart: number | null,
+  totals: Map<string, AgentTotals>,
+  conversations: Map<string, ConversationState>
+): AgentReportRow[] {
+  const openConversations = new Map<string, number>();
+  conversations.forEach(({ assignedUser, status }) => {
+    if (assignedUser && status !== ConversationStatus.Closed && status !== ConversationStatus.Archived) {
+      openConversations.set(assignedUser, (openConversations.get(assignedUser) || 0) + 1);
+    }
+  });
+
+  const agents = new Set([...Array.from(totals.keys()), ...Array.from(openConversations.keys())]);
+  return Array.from(agents)
+    .sort()
+    .map((agent) => {
+      const { messagesHandled, responses, responseTimeMs } = totals.get(agent) || {
+        messagesHandled: 0,
+        responses: 0,
+        responseTimeMs: 0,
+      };
+      return {
+        bucketStart,
+        agent,
+        openConversations: openConversations.get(agent) || 0,
+        messagesHandled,
+        responses,
+        averageResponseTimeMs: responses > 0 ? Math.round(responseTimeMs / responses) : null,
+      };
+    });
+}
+
+export function reportToJson(report: AnalyticsReport): string {
+  return JSON.stringify(report, undefined, 2);
+}
+
+const csvColumns: (keyof AgentReportRow)[] = [
+  'bucketStart',
+  'agent',
+  'openConversations',
+  'messagesHandled',
+  'responses',
+  'averageResponseTimeMs',
+];
+
+//A value with a comma, a quote or a line break is quoted, the quotes inside are doubled
+function toCsvValue(value: string): string {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Returns the rows of the report as CSV, with a header line.
+ * bucketStart is an ISO date so that a spreadsheet can read it, an empty value is null.
+ */
+export function reportToCsv(report: AnalyticsReport): string {
+  const lines = report.rows.map((row) =>
+    csvColumns
+      .map((column) => {
+        const value = row[column];
+        if (value === null) {
+          return '';
+        }
+        return toCsvValue(column === 'bucketStart' ? new Date(value).toISOString() : String(value));
+      })
+      .join(',')
+  );
+  return [csvColumns.join(','), ...lines].join('\n');
+}
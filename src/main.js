@@ -1,32 +1,124 @@
-import { Socket } from './socket/socket';
+import { Analytics, ReportGroupBy, reportToCsv, reportToJson } from './analytics/analytics';
+import { readEventsFile } from './socket/eventSources';
+import { PlaybackMode, Socket } from './socket/socket';
+import { WebSocketSocket } from './socket/webSocketSocket';
+import { LocalStoragePersistence } from './store/persistence';
 import { Store } from './store/store';
+import { TabSync } from './sync/tabSync';
+import { ConversationDetail } from './ui/conversationDetail';
+import { ConversationList } from './ui/conversationList';
 
-const socket = new Socket();
-const store = new Store();
+const saveDelayMs = 1000;
+
+// ?socket=ws://host/path connects to a real server, without it the bundled events are replayed
+const socketUrl = new URLSearchParams(window.location.search).get('socket');
+// ?user=Ann_Smith is the agent using the app, the author of the messages it sends
+const currentUser = new URLSearchParams(window.location.search).get('user') || 'Agent';
+const socket = socketUrl ? new WebSocketSocket(socketUrl) : new Socket();
+const persistence = new LocalStoragePersistence();
+const analytics = new Analytics();
+let store;
+let tabSync;
 let eventCount = 0;
+let saveTimeout;
+
+// The commands of the store (assign, unassign, sendMessage) go to the server through the socket of the leader tab.
+// The typing indicators are in the language of the browser
+const storeOptions = {
+  sender: { send: (event) => tabSync.send(event) },
+  currentUser,
+  typingText: { locale: navigator.language },
+};
 
 const toggleReceivingEventsButton = document.getElementById('toggle-receiving-events');
 const receiveNextEventButton = document.getElementById('receive-next-event');
 const eventCountElement = document.getElementById('event-count');
-const conversationsJsonElement = document.getElementById('conversations-json');
+const rejectedEventCountElement = document.getElementById('rejected-event-count');
+const conversationListElement = document.getElementById('conversation-list');
+const conversationDetailElement = document.getElementById('conversation-detail');
+const connectionStateElement = document.getElementById('connection-state');
+const eventsFileInput = document.getElementById('events-file');
+const sourceErrorsElement = document.getElementById('source-errors');
+const playbackControlsElement = document.getElementById('playback-controls');
+const timestampPlaybackCheckbox = document.getElementById('timestamp-playback');
+const playbackSpeedSelect = document.getElementById('playback-speed');
+const seekIndexInput = document.getElementById('seek-index');
+const seekTimeInput = document.getElementById('seek-time');
+const exportReportJsonButton = document.getElementById('export-report-json');
+const exportReportCsvButton = document.getElementById('export-report-csv');
+const tabRoleElement = document.getElementById('tab-role');
 
 function render() {
+  // Only the leader tab receives the events, the other tabs get them from it
+  const isLeader = !tabSync || tabSync.isLeader;
+  toggleReceivingEventsButton.parentElement.hidden = !isLeader;
+  tabRoleElement.textContent = isLeader ? 'This tab receives the events' : 'Another tab receives the events';
+
   toggleReceivingEventsButton.textContent = socket.isStreamingEvents
     ? 'Stop receiving events'
     : 'Start receiving events';
 
   eventCountElement.textContent = eventCount.toLocaleString();
+  // The events that failed the schema validation are in the dead-letter queue of the store
+  rejectedEventCountElement.textContent = (store ? store.getRejectedEventCount() : 0).toLocaleString();
 
-  const conversations = store.getConversations();
-  const conversationsJson = JSON.stringify(conversations, undefined, 2);
-  conversationsJsonElement.textContent = conversationsJson;
+  // Only a real connection has a state, and only the simulated socket can receive a single event
+  connectionStateElement.parentElement.hidden = !socketUrl;
+  connectionStateElement.textContent = socket.connectionState;
+  receiveNextEventButton.hidden = !!socketUrl;
+  eventsFileInput.parentElement.parentElement.hidden = !isLeader || !!socketUrl;
+
+  // Seeking needs the events in advance, the real connection does not have them
+  playbackControlsElement.hidden = !isLeader || !!socketUrl || socket.totalEvents === null;
+  if (!playbackControlsElement.hidden) {
+    seekIndexInput.max = String(socket.totalEvents);
+    seekIndexInput.value = String(socket.position);
+  }
 }
 
-socket.subscribe((event) => {
-  eventCount++;
-  store.handleEvent(event);
-  render();
-});
+// Every malformed line of the event source is listed, the valid events are still replayed
+function renderSourceError({ line, message }) {
+  const item = document.createElement('li');
+  item.textContent = `Line ${line}: ${message}`;
+  sourceErrorsElement.append(item);
+  sourceErrorsElement.hidden = false;
+}
+
+// Restores the state saved by the previous page load, a broken or unknown snapshot starts from an empty store
+async function restoreStore() {
+  try {
+    const snapshot = await persistence.load();
+    if (snapshot) {
+      return Store.fromSnapshot(snapshot, storeOptions);
+    }
+  } catch (error) {
+    console.error('Could not restore the store, starting from an empty one', error);
+    // The storage itself may be blocked, then there is nothing to clear
+    await persistence.clear().catch(() => {});
+  }
+  return new Store(storeOptions);
+}
+
+// Saving is debounced, a burst of events is saved once
+function scheduleSave() {
+  clearTimeout(saveTimeout);
+  saveTimeout = setTimeout(() => {
+    persistence.save(store.toSnapshot()).catch((error) => console.error('Could not save the store', error));
+  }, saveDelayMs);
+}
+
+// The report covers the events received since the page was loaded, by day
+function downloadReport(format) {
+  const report = analytics.getReport({ groupBy: ReportGroupBy.Day });
+  const content = format === 'csv' ? reportToCsv(report) : reportToJson(report);
+  const url = URL.createObjectURL(new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' }));
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `agent-report.${format}`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
 
 toggleReceivingEventsButton.addEventListener('click', () => {
   if (socket.isStreamingEvents) {
@@ -41,4 +133,88 @@ receiveNextEventButton.addEventListener('click', () => {
   socket.receiveNextEvent();
 });
 
+eventsFileInput.addEventListener('change', async () => {
+  const [file] = eventsFileInput.files;
+  if (!file) {
+    return;
+  }
+
+  const { events, errors } = await readEventsFile(file);
+  sourceErrorsElement.replaceChildren();
+  sourceErrorsElement.hidden = true;
+  errors.forEach(renderSourceError);
+  socket.setEventSource(events);
+  render();
+});
+
+timestampPlaybackCheckbox.addEventListener('change', () => {
+  socket.setPlaybackMode(timestampPlaybackCheckbox.checked ? PlaybackMode.Timestamp : PlaybackMode.Interval);
+});
+
+playbackSpeedSelect.addEventListener('change', () => {
+  socket.setSpeed(Number(playbackSpeedSelect.value));
+});
+
+seekIndexInput.addEventListener('change', () => {
+  socket.seekToIndex(Number(seekIndexInput.value));
+});
+
+seekTimeInput.addEventListener('change', () => {
+  if (seekTimeInput.value) {
+    socket.seekToTime(new Date(seekTimeInput.value).getTime());
+  }
+});
+
+exportReportJsonButton.addEventListener('click', () => downloadReport('json'));
+exportReportCsvButton.addEventListener('click', () => downloadReport('csv'));
+
+if (socketUrl) {
+  socket.subscribeToConnectionState(render);
+} else {
+  socket.subscribeToErrors(renderSourceError);
+}
+
 render();
+
+restoreStore().then((restoredStore) => {
+  store = restoredStore;
+
+  tabSync = new TabSync(store, socket);
+
+  // The list updates its rows from the change sets of the store, every tab has the same state.
+  // A click on a row opens the conversation in the detail pane
+  const conversationDetail = new ConversationDetail(conversationDetailElement, store, {
+    onClose: () => conversationList.select(null),
+  });
+  const conversationList = new ConversationList(conversationListElement, store, {
+    onSelect: (conversationId) => conversationDetail.show(conversationId),
+  });
+
+  store.subscribe(() => {
+    if (tabSync.isLeader) {
+      scheduleSave();
+    }
+  });
+
+  // The leader applies the events of its socket and broadcasts them, the other tabs apply them from the channel.
+  // The socket replays the events from the start, the ones already in the snapshot are dropped as duplicates
+  tabSync.subscribe((event) => {
+    eventCount++;
+    analytics.handleEvent(event);
+    // The change sets only cover the listed conversations, the open one may have been closed or reassigned
+    conversationDetail.refreshForEvent(event);
+    render();
+  });
+
+  // After a seek (or when the tab joins) the store is rebuilt from the events of the leader
+  tabSync.subscribeToReset((events) => {
+    eventCount = events.length;
+    analytics.reset(events);
+    conversationDetail.refresh();
+    render();
+  });
+
+  tabSync.subscribeToRole(render);
+  tabSync.start();
+  window.addEventListener('pagehide', () => tabSync.dispose());
+});
@@ -0,0 +1,80 @@
+/**
+ * Tells if a value has the shape of an event: a string type and a data object.
+ * The content of data is checked by the Store, here we only make sure it can be dispatched.
+ */
+export function isEvent(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    typeof value.type === 'string' &&
+    value.data !== null &&
+    typeof value.data === 'object'
+  );
+}
+
+export function describeInvalidEvent(value) {
+  return `Not an event (expected an object with a string type and a data object): ${JSON.stringify(value)}`;
+}
+
+/**
+ * Parses recorded events, either a JSON array (like events.json) or NDJSON (one JSON event per line).
+ * A malformed line is reported in errors with its 1-based line number and the other lines are still returned.
+ * For a JSON array the line number is the position of the entry in the array.
+ *
+ * @param {string} text
+ * @returns {{ events: object[], errors: { line: number, message: string }[] }}
+ */
+export function parseEvents(text) {
+  const events = [];
+  const errors = [];
+
+  if (text.trimStart().startsWith('[')) {
+    let entries;
+    try {
+      entries = JSON.parse(text);
+    } catch (error) {
+      return { events, errors: [{ line: 1, message: `Invalid JSON: ${error.message}` }] };
+    }
+
+    entries.forEach((entry, index) => {
+      if (isEvent(entry)) {
+        events.push(entry);
+      } else {
+        errors.push({ line: index + 1, message: describeInvalidEvent(entry) });
+      }
+    });
+    return { events, errors };
+  }
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) {
+      return;
+    }
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      errors.push({ line: index + 1, message: `Invalid JSON: ${error.message}` });
+      return;
+    }
+
+    if (isEvent(entry)) {
+      events.push(entry);
+    } else {
+      errors.push({ line: index + 1, message: describeInvalidEvent(entry) });
+    }
+  });
+
+  return { events, errors };
+}
+
+/**
+ * Reads a file picked by the user (a File or any Blob) and parses the events it contains.
+ *
+ * @param {Blob} file
+ * @returns {Promise<{ events: object[], errors: { line: number, message: string }[] }>}
+ */
+export async function readEventsFile(file) {
+  return parseEvents(await file.text());
+}
@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { parseEvents, readEventsFile } from './eventSources';
+
+const assigned = { type: 'assigned', data: { conversationId: 'c1', timestamp: 1, user: 'user1' } };
+const unassigned = { type: 'unassigned', data: { conversationId: 'c1', timestamp: 2 } };
+
+describe('parseEvents', () => {
+  it('parses a JSON array', () => {
+    expect(parseEvents(JSON.stringify([assigned, unassigned]))).toEqual({ events: [assigned, unassigned], errors: [] });
+  });
+
+  it('parses NDJSON and skips the empty lines', () => {
+    const text = `${JSON.stringify(assigned)}\n\n${JSON.stringify(unassigned)}\n`;
+    expect(parseEvents(text)).toEqual({ events: [assigned, unassigned], errors: [] });
+  });
+
+  it('reports every malformed line without dropping the other ones', () => {
+    const text = [JSON.stringify(assigned), '{not json', '{"type":"assigned"}', JSON.stringify(unassigned)].join(
+      '\r\n'
+    );
+    const { events, errors } = parseEvents(text);
+
+    expect(events).toEqual([assigned, unassigned]);
+    expect(errors).toEqual([
+      { line: 2, message: expect.stringContaining('Invalid JSON') },
+      { line: 3, message: expect.stringContaining('Not an event') },
+    ]);
+  });
+
+  it('reports the invalid entries of a JSON array by position', () => {
+    const { events, errors } = parseEvents(JSON.stringify([assigned, 42]));
+
+    expect(events).toEqual([assigned]);
+    expect(errors).toEqual([{ line: 2, message: expect.stringContaining('Not an event') }]);
+  });
+
+  it('reports a JSON array that can not be parsed', () => {
+    expect(parseEvents('[{')).toEqual({
+      events: [],
+      errors: [{ line: 1, message: expect.stringContaining('Invalid JSON') }],
+    });
+  });
+});
+
+describe('readEventsFile', () => {
+  it('parses the content of a file', async () => {
+    const file = new Blob([JSON.stringify(assigned)]);
+    expect(await readEventsFile(file)).toEqual({ events: [assigned], errors: [] });
+  });
+});
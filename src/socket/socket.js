@@ -1,26 +1,113 @@
 import events from './events.json';
+import { describeInvalidEvent, isEvent } from './eventSources';
+import { addSubscriber, notifySubscribers } from '../utils/subscribers';
 
 const streamingEventIntervalMs = 500;
 
-/** Simulates events received from a server through a WebSocket connection. */
+// Longest wait between two events in timestamp mode, unless the options give another one
+const defaultMaxDelayMs = 10000;
+
+// setTimeout fires right away when the delay does not fit in a signed 32-bit integer
+const maxTimeoutDelayMs = 2 ** 31 - 1;
+
+// Time the simulated server takes to echo an event sent by the client
+const serverEchoDelayMs = 200;
+
+export const PlaybackMode = {
+  // One event every streamingEventIntervalMs
+  Interval: 'interval',
+  // The events are spaced by the difference of their timestamps, divided by the speed
+  Timestamp: 'timestamp',
+};
+
+/**
+ * Simulates events received from a server through a WebSocket connection.
+ *
+ * The events come from an event source: an array (the bundled events.json by default), a sync iterable
+ * or an async iterator (e.g. an async generator reading recorded traffic).
+ *
+ * The timestamp playback and the seeking need to know the events in advance, so they only work with an array
+ * or a sync iterable. An async source is always streamed with the fixed interval.
+ */
 export class Socket {
-  constructor() {
+  /**
+   * @param {object[] | Iterable<object> | AsyncIterable<object>} source
+   * @param {{ playbackMode?: 'interval' | 'timestamp', speed?: number, maxDelayMs?: number }} options
+   *   maxDelayMs caps the wait between two events in timestamp mode, so a quiet night does not stop the replay.
+   *   Infinity keeps every wait as it was recorded
+   */
+  constructor(
+    source = events,
+    { playbackMode = PlaybackMode.Interval, speed = 1, maxDelayMs = defaultMaxDelayMs } = {}
+  ) {
     this.isStreamingEvents = false;
+    this.playbackMode = playbackMode;
+    this.speed = speed;
+    this.maxDelayMs = maxDelayMs;
 
     this._subscribers = [];
+    this._errorSubscribers = [];
+    this._seekSubscribers = [];
     this._isReceiveNextEventScheduled = false;
-    this._nextEventIndex = 0;
+    this._receiveNextEventTimeout = null;
+    this.setEventSource(source);
+  }
+
+  /** Number of events of the source, null for an async source as it is not known in advance. */
+  get totalEvents() {
+    return this._iterator ? null : this._events.length;
+  }
+
+  /** Index of the next event of the source that is going to be received. */
+  get position() {
+    return this._nextEventIndex;
   }
 
   subscribe(callback) {
-    this._subscribers.push(callback);
+    return addSubscriber(this._subscribers, callback);
+  }
 
-    return () => {
-      const index = this._subscribers.indexOf(callback);
-      if (index !== -1) {
-        this._subscribers.splice(index, 1);
-      }
-    };
+  /** The callback receives { line, message } for every entry of the source that is not an event. */
+  subscribeToErrors(callback) {
+    return addSubscriber(this._errorSubscribers, callback);
+  }
+
+  /**
+   * The callback receives { index, events } after a seek: events are the ones before the new position,
+   * the state that was built from the previous events has to be rebuilt from them.
+   */
+  subscribeToSeek(callback) {
+    return addSubscriber(this._seekSubscribers, callback);
+  }
+
+  /**
+   * Sends an event to the simulated server. Like a real server, it broadcasts the event back to every client,
+   * so the subscribers receive it after serverEchoDelayMs, whether the events are streamed or not.
+   */
+  send(event) {
+    if (!isEvent(event)) {
+      throw new TypeError(describeInvalidEvent(event));
+    }
+    setTimeout(() => notifySubscribers(this._subscribers, event), serverEchoDelayMs);
+  }
+
+  /** Replaces the event source, the next event received is the first one of the new source. */
+  setEventSource(source) {
+    this._events = [];
+    this._iterator = null;
+    this._nextEventIndex = 0;
+    this._playbackTimestamp = null;
+    this._pendingReceive = Promise.resolve();
+
+    if (Array.isArray(source)) {
+      this._events = source;
+    } else if (source && typeof source[Symbol.asyncIterator] === 'function') {
+      this._iterator = source[Symbol.asyncIterator]();
+    } else if (source && typeof source[Symbol.iterator] === 'function') {
+      this._events = Array.from(source);
+    } else {
+      throw new TypeError('The event source must be an array, an iterable or an async iterable');
+    }
   }
 
   startStreamingEvents() {
@@ -32,33 +119,168 @@ export class Socket {
     this.isStreamingEvents = false;
   }
 
+  pause() {
+    this.stopStreamingEvents();
+  }
+
+  resume() {
+    this.startStreamingEvents();
+  }
+
+  setPlaybackMode(playbackMode) {
+    this.playbackMode = playbackMode;
+    this._rescheduleReceiveNextEvent();
+  }
+
+  /** Speed multiplier of the timestamp playback, e.g. 10 replays ten times faster than it happened. */
+  setSpeed(speed) {
+    if (!(speed > 0)) {
+      throw new RangeError(`The speed must be a positive number, got ${speed}`);
+    }
+    this.speed = speed;
+    this._rescheduleReceiveNextEvent();
+  }
+
+  /** Moves the playback so that the event at this index of the source is the next one received. */
+  seekToIndex(index) {
+    if (this._iterator) {
+      throw new Error('Seeking is not supported by an async event source');
+    }
+
+    this._moveToIndex(index);
+    notifySubscribers(this._seekSubscribers, {
+      index: this._nextEventIndex,
+      events: this._events.slice(0, this._nextEventIndex).filter(isEvent),
+    });
+  }
+
+  /**
+   * Moves the playback to this index without a seek, the events before it were already received elsewhere
+   * (e.g. by the tab that was receiving them before). An async source can not skip events, it goes on where it is.
+   */
+  resumeFromIndex(index) {
+    if (!this._iterator) {
+      this._moveToIndex(index);
+    }
+  }
+
+  /**
+   * Moves the playback to the first event (in the order of the source) that happened after this time.
+   * Events received late, after that position, are still received when the playback reaches them.
+   */
+  seekToTime(timestamp) {
+    const index = this._events.findIndex((event) => isEvent(event) && event.data.timestamp > timestamp);
+    this.seekToIndex(index === -1 ? this._events.length : index);
+  }
+
+  /**
+   * Dispatches the next event of the source, skipping (and reporting) the entries that are not events.
+   * With an async source it returns a promise, resolved once the event was dispatched.
+   */
   receiveNextEvent() {
-    if (this._subscribers.length > 0 && this._nextEventIndex < events.length) {
-      const event = events[this._nextEventIndex++];
-      this._subscribers.forEach((callback) => {
-        try {
-          callback(event);
-        } catch (error) {
-          console.error(error);
-        }
-      });
+    if (this._subscribers.length === 0) {
+      return;
+    }
+
+    if (this._iterator) {
+      // The async source is pulled one event at a time, in order
+      this._pendingReceive = this._pendingReceive.then(() => this._receiveNextIteratorEvent());
+      return this._pendingReceive;
+    }
+
+    while (this._nextEventIndex < this._events.length) {
+      const line = ++this._nextEventIndex;
+      const event = this._events[line - 1];
+      if (isEvent(event)) {
+        this._playbackTimestamp = Math.max(this._playbackTimestamp ?? event.data.timestamp, event.data.timestamp);
+        notifySubscribers(this._subscribers, event);
+        return;
+      }
+      notifySubscribers(this._errorSubscribers, { line, message: describeInvalidEvent(event) });
+    }
+    return;
+  }
+
+  async _receiveNextIteratorEvent() {
+    const iterator = this._iterator;
+
+    while (iterator && this._iterator === iterator) {
+      let result;
+      try {
+        result = await iterator.next();
+      } catch (error) {
+        // A failing source can not go on, the events received so far are kept
+        notifySubscribers(this._errorSubscribers, { line: this._nextEventIndex + 1, message: error.message });
+        this._iterator = null;
+        return;
+      }
+
+      if (result.done || this._iterator !== iterator) {
+        return;
+      }
+
+      const line = ++this._nextEventIndex;
+      if (isEvent(result.value)) {
+        notifySubscribers(this._subscribers, result.value);
+        return;
+      }
+      notifySubscribers(this._errorSubscribers, { line, message: describeInvalidEvent(result.value) });
     }
   }
 
+  /*In timestamp mode the wait is the time between the most recent event played so far and the next one.
+  Events received late have an older timestamp, they are received right away */
+  _getNextEventDelayMs() {
+    const nextEvent = this._events[this._nextEventIndex];
+
+    const canUseTimestamps = !this._iterator && this._playbackTimestamp !== null && isEvent(nextEvent);
+    if (this.playbackMode !== PlaybackMode.Timestamp || !canUseTimestamps) {
+      return streamingEventIntervalMs;
+    }
+
+    const delayMs = (nextEvent.data.timestamp - this._playbackTimestamp) / this.speed;
+    return Math.min(this.maxDelayMs, maxTimeoutDelayMs, Math.max(0, delayMs));
+  }
+
+  _moveToIndex(index) {
+    this._nextEventIndex = Math.min(Math.max(0, Math.floor(index)), this._events.length);
+    this._playbackTimestamp = this._getPlaybackTimestamp(this._nextEventIndex);
+    this._rescheduleReceiveNextEvent();
+  }
+
+  // Most recent timestamp of the events before the given index, null if there is none
+  _getPlaybackTimestamp(index) {
+    const timestamps = this._events
+      .slice(0, index)
+      .filter(isEvent)
+      .map((event) => event.data.timestamp);
+    return timestamps.length > 0 ? timestamps.reduce((latest, timestamp) => Math.max(latest, timestamp)) : null;
+  }
+
   _scheduleReceiveNextEvent() {
     if (this._isReceiveNextEventScheduled) {
       return;
     }
 
-    setTimeout(() => {
+    this._receiveNextEventTimeout = setTimeout(() => {
       this._isReceiveNextEventScheduled = false;
 
       if (this.isStreamingEvents) {
         this.receiveNextEvent();
         this._scheduleReceiveNextEvent();
       }
-    }, streamingEventIntervalMs);
+    }, this._getNextEventDelayMs());
 
     this._isReceiveNextEventScheduled = true;
   }
+
+  // The pending wait was computed with the previous position or speed
+  _rescheduleReceiveNextEvent() {
+    clearTimeout(this._receiveNextEventTimeout);
+    this._isReceiveNextEventScheduled = false;
+
+    if (this.isStreamingEvents) {
+      this._scheduleReceiveNextEvent();
+    }
+  }
 }
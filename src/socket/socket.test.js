@@ -1,5 +1,5 @@
 import { afterEach, beforeEach, describe, expect, vi, it } from 'vitest';
-import { Socket } from './socket';
+import { PlaybackMode, Socket } from './socket';
 
 const streamingEventIntervalMs = 500;
 
@@ -41,4 +41,287 @@ describe('Socket', () => {
     socket.receiveNextEvent();
     expect(subscriber).toHaveBeenCalledWith(expect.objectContaining({ type: expect.any(String) }));
   });
+
+  it('dispatches the events of an injected array', () => {
+    const events = [{ type: 'assigned', data: { conversationId: 'c1', timestamp: 1, user: 'user1' } }];
+    const socket = new Socket(events);
+    const subscriber = vi.fn();
+    socket.subscribe(subscriber);
+
+    socket.receiveNextEvent();
+    socket.receiveNextEvent();
+
+    expect(subscriber).toHaveBeenCalledTimes(1);
+    expect(subscriber).toHaveBeenCalledWith(events[0]);
+  });
+
+  it('reports the entries that are not events and goes on with the next one', () => {
+    const event = { type: 'unassigned', data: { conversationId: 'c1', timestamp: 2 } };
+    const socket = new Socket([{ type: 'assigned' }, event]);
+    const subscriber = vi.fn();
+    const errorSubscriber = vi.fn();
+    socket.subscribe(subscriber);
+    socket.subscribeToErrors(errorSubscriber);
+
+    socket.receiveNextEvent();
+
+    expect(errorSubscriber).toHaveBeenCalledWith({ line: 1, message: expect.stringContaining('Not an event') });
+    expect(subscriber).toHaveBeenCalledWith(event);
+  });
+
+  it('pulls the events of an async iterator in order', async () => {
+    async function* generateEvents() {
+      yield { type: 'assigned', data: { conversationId: 'c1', timestamp: 1, user: 'user1' } };
+      yield 'not an event';
+      yield { type: 'unassigned', data: { conversationId: 'c1', timestamp: 2 } };
+    }
+    const socket = new Socket(generateEvents());
+    const subscriber = vi.fn();
+    const errorSubscriber = vi.fn();
+    socket.subscribe(subscriber);
+    socket.subscribeToErrors(errorSubscriber);
+
+    socket.receiveNextEvent();
+    await socket.receiveNextEvent();
+    await socket.receiveNextEvent();
+
+    expect(subscriber.mock.calls.map(([event]) => event.type)).toEqual(['assigned', 'unassigned']);
+    expect(errorSubscriber).toHaveBeenCalledWith(expect.objectContaining({ line: 2 }));
+  });
+
+  it('streams the events of an async iterator', async () => {
+    async function* generateEvents() {
+      yield { type: 'assigned', data: { conversationId: 'c1', timestamp: 1, user: 'user1' } };
+      yield { type: 'unassigned', data: { conversationId: 'c1', timestamp: 2 } };
+    }
+    const socket = new Socket(generateEvents());
+    const subscriber = vi.fn();
+    socket.subscribe(subscriber);
+
+    socket.startStreamingEvents();
+    await vi.advanceTimersByTimeAsync(3 * streamingEventIntervalMs);
+
+    expect(subscriber).toHaveBeenCalledTimes(2);
+  });
+
+  it('reports an async iterator that fails', async () => {
+    async function* generateEvents() {
+      throw new Error('Connection lost');
+    }
+    const socket = new Socket(generateEvents());
+    const errorSubscriber = vi.fn();
+    socket.subscribe(vi.fn());
+    socket.subscribeToErrors(errorSubscriber);
+
+    await socket.receiveNextEvent();
+
+    expect(errorSubscriber).toHaveBeenCalledWith({ line: 1, message: 'Connection lost' });
+  });
+
+  it('starts from the first event of a new source', () => {
+    const socket = new Socket();
+    const subscriber = vi.fn();
+    socket.subscribe(subscriber);
+    socket.receiveNextEvent();
+
+    const event = { type: 'unassigned', data: { conversationId: 'c1', timestamp: 2 } };
+    socket.setEventSource([event]);
+    socket.receiveNextEvent();
+
+    expect(subscriber).toHaveBeenLastCalledWith(event);
+  });
+
+  it('echoes a sent event back to the subscribers like a server', async () => {
+    const socket = new Socket([]);
+    const subscriber = vi.fn();
+    socket.subscribe(subscriber);
+    const event = { type: 'assigned', eventId: 'event1', data: { conversationId: 'c1', timestamp: 1, user: 'user1' } };
+
+    socket.send(event);
+    expect(subscriber).not.toHaveBeenCalled();
+    await vi.advanceTimersByTimeAsync(200);
+
+    expect(subscriber).toHaveBeenCalledWith(event);
+    expect(() => socket.send({ type: 'assigned' })).toThrow(TypeError);
+  });
+
+  it('rejects a source that is not iterable', () => {
+    expect(() => new Socket(42)).toThrow(TypeError);
+  });
+
+  describe('timestamp playback', () => {
+    const recordedEvents = [
+      { type: 'assigned', data: { conversationId: 'c1', timestamp: 10000, user: 'user1' } },
+      { type: 'unassigned', data: { conversationId: 'c1', timestamp: 12000 } },
+      // Received late, it happened before the previous event
+      { type: 'assigned', data: { conversationId: 'c1', timestamp: 11000, user: 'user2' } },
+      { type: 'unassigned', data: { conversationId: 'c1', timestamp: 22000 } },
+    ];
+
+    it('spaces the events by their timestamp differences', async () => {
+      const socket = new Socket(recordedEvents, { playbackMode: PlaybackMode.Timestamp });
+      const subscriber = vi.fn();
+      socket.subscribe(subscriber);
+
+      socket.startStreamingEvents();
+      await vi.advanceTimersByTimeAsync(streamingEventIntervalMs);
+      expect(subscriber).toHaveBeenCalledTimes(1);
+
+      await vi.advanceTimersByTimeAsync(1999);
+      expect(subscriber).toHaveBeenCalledTimes(1);
+      await vi.advanceTimersByTimeAsync(1);
+      expect(subscriber).toHaveBeenCalledTimes(2);
+      // The late event comes right after the previous one (a timer waits at least 1 ms)
+      await vi.advanceTimersByTimeAsync(1);
+      expect(subscriber).toHaveBeenCalledTimes(3);
+
+      // The next wait starts from the most recent event, not from the late one
+      await vi.advanceTimersByTimeAsync(9999);
+      expect(subscriber).toHaveBeenCalledTimes(3);
+      await vi.advanceTimersByTimeAsync(1);
+      expect(subscriber).toHaveBeenCalledTimes(4);
+    });
+
+    it('plays faster with a speed multiplier', async () => {
+      const socket = new Socket(recordedEvents, { playbackMode: PlaybackMode.Timestamp, speed: 10 });
+      const subscriber = vi.fn();
+      socket.subscribe(subscriber);
+
+      socket.startStreamingEvents();
+      await vi.advanceTimersByTimeAsync(streamingEventIntervalMs + 201);
+      expect(subscriber).toHaveBeenCalledTimes(3);
+
+      socket.setSpeed(100);
+      await vi.advanceTimersByTimeAsync(100);
+      expect(subscriber).toHaveBeenCalledTimes(4);
+      expect(() => socket.setSpeed(0)).toThrow(RangeError);
+    });
+
+    it('caps the wait between two events', async () => {
+      const socket = new Socket(recordedEvents, { playbackMode: PlaybackMode.Timestamp, maxDelayMs: 1000 });
+      const subscriber = vi.fn();
+      socket.subscribe(subscriber);
+
+      socket.startStreamingEvents();
+      await vi.advanceTimersByTimeAsync(streamingEventIntervalMs + 2001);
+      expect(subscriber).toHaveBeenCalledTimes(4);
+    });
+
+    it('caps the wait of a quiet period by default', async () => {
+      const quietEvents = [
+        recordedEvents[0],
+        { ...recordedEvents[1], data: { ...recordedEvents[1].data, timestamp: 3600000 } },
+      ];
+      const socket = new Socket(quietEvents, { playbackMode: PlaybackMode.Timestamp });
+      const subscriber = vi.fn();
+      socket.subscribe(subscriber);
+
+      socket.startStreamingEvents();
+      await vi.advanceTimersByTimeAsync(streamingEventIntervalMs + 10000);
+      expect(subscriber).toHaveBeenCalledTimes(2);
+    });
+
+    it('waits the longest timer delay instead of not waiting at all', async () => {
+      const socket = new Socket(recordedEvents, { playbackMode: PlaybackMode.Timestamp, maxDelayMs: Infinity });
+      const subscriber = vi.fn();
+      socket.subscribe(subscriber);
+
+      socket.startStreamingEvents();
+      await vi.advanceTimersByTimeAsync(streamingEventIntervalMs);
+      socket.setSpeed(0.0000001);
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(subscriber).toHaveBeenCalledTimes(1);
+    });
+
+    it('pauses and resumes', async () => {
+      const socket = new Socket(recordedEvents, { playbackMode: PlaybackMode.Timestamp });
+      const subscriber = vi.fn();
+      socket.subscribe(subscriber);
+
+      socket.resume();
+      await vi.advanceTimersByTimeAsync(streamingEventIntervalMs);
+      socket.pause();
+      await vi.advanceTimersByTimeAsync(60000);
+      expect(subscriber).toHaveBeenCalledTimes(1);
+
+      socket.resume();
+      await vi.advanceTimersByTimeAsync(2001);
+      expect(subscriber).toHaveBeenCalledTimes(3);
+    });
+
+    it('receives a single event on demand while paused', () => {
+      const socket = new Socket(recordedEvents, { playbackMode: PlaybackMode.Timestamp });
+      const subscriber = vi.fn();
+      socket.subscribe(subscriber);
+
+      socket.receiveNextEvent();
+
+      expect(subscriber).toHaveBeenCalledWith(recordedEvents[0]);
+    });
+  });
+
+  describe('seeking', () => {
+    const recordedEvents = [
+      { type: 'assigned', data: { conversationId: 'c1', timestamp: 1000, user: 'user1' } },
+      { type: 'unassigned', data: { conversationId: 'c1', timestamp: 2000 } },
+      { type: 'assigned', data: { conversationId: 'c1', timestamp: 3000, user: 'user2' } },
+    ];
+
+    it('seeks to an index and reports the events before it', () => {
+      const socket = new Socket(recordedEvents);
+      const subscriber = vi.fn();
+      const seekSubscriber = vi.fn();
+      socket.subscribe(subscriber);
+      socket.subscribeToSeek(seekSubscriber);
+
+      socket.seekToIndex(2);
+
+      expect(seekSubscriber).toHaveBeenCalledWith({ index: 2, events: recordedEvents.slice(0, 2) });
+      expect(socket.position).toBe(2);
+      socket.receiveNextEvent();
+      expect(subscriber).toHaveBeenCalledWith(recordedEvents[2]);
+    });
+
+    it('seeks back to the start', () => {
+      const socket = new Socket(recordedEvents);
+      const seekSubscriber = vi.fn();
+      socket.subscribe(vi.fn());
+      socket.subscribeToSeek(seekSubscriber);
+      socket.receiveNextEvent();
+      socket.receiveNextEvent();
+
+      socket.seekToIndex(-5);
+
+      expect(seekSubscriber).toHaveBeenCalledWith({ index: 0, events: [] });
+    });
+
+    it('seeks to the first event after a time', () => {
+      const socket = new Socket(recordedEvents);
+      socket.seekToTime(2000);
+      expect(socket.position).toBe(2);
+
+      socket.seekToTime(5000);
+      expect(socket.position).toBe(socket.totalEvents);
+    });
+
+    it('resumes from an index without reporting a seek', () => {
+      const socket = new Socket(recordedEvents);
+      const subscriber = vi.fn();
+      const seekSubscriber = vi.fn();
+      socket.subscribe(subscriber);
+      socket.subscribeToSeek(seekSubscriber);
+
+      socket.resumeFromIndex(2);
+      socket.receiveNextEvent();
+
+      expect(socket.position).toBe(3);
+      expect(subscriber).toHaveBeenCalledWith(recordedEvents[2]);
+      expect(seekSubscriber).not.toHaveBeenCalled();
+    });
+
+    it('does not seek in an async source', () => {
+      async function* generateEvents() {}
+      expect(() => new Socket(generateEvents()).seekToIndex(1)).toThrow();
+    });
+  });
 });
@@ -0,0 +1,199 @@
+import { addSubscriber, notifySubscribers } from '../utils/subscribers';
+
+export const ConnectionState = {
+  Connecting: 'connecting',
+  Open: 'open',
+  Closed: 'closed',
+  Error: 'error',
+};
+
+const defaultOptions = {
+  initialReconnectDelayMs: 500,
+  maxReconnectDelayMs: 30000,
+  reconnectBackoffFactor: 2,
+  heartbeatIntervalMs: 15000,
+  heartbeatTimeoutMs: 5000,
+};
+
+/**
+ * Receives events from a server through a real WebSocket connection.
+ * It has the same subscribe/startStreamingEvents/stopStreamingEvents surface as Socket, so the app can use either.
+ *
+ * The server sends one event or an array of events per message. A lost connection is reopened with an
+ * exponential backoff, and a heartbeat (ping) detects a connection that died without being closed.
+ */
+export class WebSocketSocket {
+  /**
+   * @param {string} url
+   * @param {{
+   *   WebSocketImpl?: typeof WebSocket,
+   *   initialReconnectDelayMs?: number,
+   *   maxReconnectDelayMs?: number,
+   *   reconnectBackoffFactor?: number,
+   *   heartbeatIntervalMs?: number,
+   *   heartbeatTimeoutMs?: number
+   * }} options WebSocketImpl lets the tests use an in-process stand-in
+   */
+  constructor(url, options = {}) {
+    this.url = url;
+    this.isStreamingEvents = false;
+    this.connectionState = ConnectionState.Closed;
+
+    const { WebSocketImpl = globalThis.WebSocket, ...timings } = options;
+    this._WebSocketImpl = WebSocketImpl;
+    this._options = { ...defaultOptions, ...timings };
+
+    this._subscribers = [];
+    this._connectionStateSubscribers = [];
+    this._webSocket = null;
+    this._reconnectAttempts = 0;
+    this._reconnectTimeout = null;
+    this._heartbeatInterval = null;
+    this._heartbeatTimeout = null;
+  }
+
+  subscribe(callback) {
+    return addSubscriber(this._subscribers, callback);
+  }
+
+  /** The callback receives 'connecting', 'open', 'closed' or 'error' every time the connection state changes. */
+  subscribeToConnectionState(callback) {
+    return addSubscriber(this._connectionStateSubscribers, callback);
+  }
+
+  startStreamingEvents() {
+    if (this.isStreamingEvents) {
+      return;
+    }
+    this.isStreamingEvents = true;
+    this._reconnectAttempts = 0;
+    this._connect();
+  }
+
+  stopStreamingEvents() {
+    this.isStreamingEvents = false;
+    clearTimeout(this._reconnectTimeout);
+    this._stopHeartbeat();
+
+    if (this._webSocket) {
+      const webSocket = this._webSocket;
+      this._webSocket = null;
+      webSocket.close();
+      this._setConnectionState(ConnectionState.Closed);
+    }
+  }
+
+  /** Sends an event to the server, it throws when the connection is not open as the event would be lost. */
+  send(event) {
+    if (!this._webSocket || this.connectionState !== ConnectionState.Open) {
+      throw new Error(`The connection is ${this.connectionState}, the event can not be sent`);
+    }
+    this._webSocket.send(JSON.stringify(event));
+  }
+
+  /** Delay before the next reconnection attempt, it doubles (by default) after every failed attempt. */
+  getReconnectDelayMs() {
+    const { initialReconnectDelayMs, maxReconnectDelayMs, reconnectBackoffFactor } = this._options;
+    return Math.min(maxReconnectDelayMs, initialReconnectDelayMs * reconnectBackoffFactor ** this._reconnectAttempts);
+  }
+
+  _setConnectionState(connectionState) {
+    if (this.connectionState !== connectionState) {
+      this.connectionState = connectionState;
+      notifySubscribers(this._connectionStateSubscribers, connectionState);
+    }
+  }
+
+  _connect() {
+    this._setConnectionState(ConnectionState.Connecting);
+
+    let webSocket;
+    try {
+      webSocket = new this._WebSocketImpl(this.url);
+    } catch (error) {
+      // An invalid url throws right away instead of closing the connection, it is retried all the same
+      console.error(`Could not connect to ${this.url}:`, error);
+      this._setConnectionState(ConnectionState.Error);
+      this._scheduleReconnect();
+      return;
+    }
+    this._webSocket = webSocket;
+
+    // The handlers ignore a socket that was replaced or closed by stopStreamingEvents
+    webSocket.onopen = () => {
+      if (this._webSocket === webSocket) {
+        this._reconnectAttempts = 0;
+        this._setConnectionState(ConnectionState.Open);
+        this._startHeartbeat();
+      }
+    };
+    webSocket.onmessage = (message) => {
+      if (this._webSocket === webSocket) {
+        this._handleMessage(message.data);
+      }
+    };
+    webSocket.onerror = () => {
+      if (this._webSocket === webSocket) {
+        this._setConnectionState(ConnectionState.Error);
+      }
+    };
+    webSocket.onclose = () => {
+      if (this._webSocket === webSocket) {
+        this._handleClose();
+      }
+    };
+  }
+
+  _handleMessage(data) {
+    // Any message proves the connection is alive, not only the pong
+    clearTimeout(this._heartbeatTimeout);
+
+    let payload;
+    try {
+      payload = JSON.parse(data);
+    } catch (error) {
+      console.error('Invalid message received from the server:', data);
+      return;
+    }
+
+    const events = Array.isArray(payload) ? payload : [payload];
+    events
+      .filter((event) => event && event.type !== 'pong')
+      .forEach((event) => notifySubscribers(this._subscribers, event));
+  }
+
+  _handleClose() {
+    this._webSocket = null;
+    this._stopHeartbeat();
+    this._setConnectionState(ConnectionState.Closed);
+    this._scheduleReconnect();
+  }
+
+  _scheduleReconnect() {
+    if (this.isStreamingEvents) {
+      this._reconnectTimeout = setTimeout(() => this._connect(), this.getReconnectDelayMs());
+      this._reconnectAttempts++;
+    }
+  }
+
+  _startHeartbeat() {
+    const { heartbeatIntervalMs, heartbeatTimeoutMs } = this._options;
+
+    this._heartbeatInterval = setInterval(() => {
+      this._webSocket.send(JSON.stringify({ type: 'ping' }));
+
+      clearTimeout(this._heartbeatTimeout);
+      this._heartbeatTimeout = setTimeout(() => {
+        // No answer: the connection is considered dead, closing it triggers the reconnection
+        const webSocket = this._webSocket;
+        this._handleClose();
+        webSocket.close();
+      }, heartbeatTimeoutMs);
+    }, heartbeatIntervalMs);
+  }
+
+  _stopHeartbeat() {
+    clearInterval(this._heartbeatInterval);
+    clearTimeout(this._heartbeatTimeout);
+  }
+}
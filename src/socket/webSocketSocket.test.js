@@ -0,0 +1,240 @@
+import { afterEach, beforeEach, describe, expect, vi, it } from 'vitest';
+import { ConnectionState, WebSocketSocket } from './webSocketSocket';
+
+// In-process stand-in for a WebSocket server, every FakeWebSocket created connects to it
+class FakeServer {
+  constructor() {
+    this.connections = [];
+    this.received = [];
+  }
+
+  get lastConnection() {
+    return this.connections[this.connections.length - 1];
+  }
+
+  createWebSocketClass() {
+    const server = this;
+
+    return class FakeWebSocket {
+      constructor(url) {
+        this.url = url;
+        this.isClosed = false;
+        server.connections.push(this);
+      }
+
+      send(data) {
+        server.received.push(JSON.parse(data));
+      }
+
+      close() {
+        if (!this.isClosed) {
+          this.isClosed = true;
+          this.onclose?.({});
+        }
+      }
+    };
+  }
+
+  accept() {
+    this.lastConnection.onopen?.({});
+  }
+
+  push(payload) {
+    this.lastConnection.onmessage?.({ data: JSON.stringify(payload) });
+  }
+
+  drop() {
+    this.lastConnection.onerror?.({});
+    this.lastConnection.close();
+  }
+}
+
+const event = {
+  type: 'messageReceived',
+  data: { conversationId: 'conversation1', timestamp: 1, subject: 'Subject', body: 'Body' },
+};
+
+describe('WebSocketSocket', () => {
+  let server;
+  let socket;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    server = new FakeServer();
+    socket = new WebSocketSocket('ws://localhost/events', {
+      WebSocketImpl: server.createWebSocketClass(),
+      initialReconnectDelayMs: 100,
+      maxReconnectDelayMs: 1000,
+      heartbeatIntervalMs: 1000,
+      heartbeatTimeoutMs: 200,
+    });
+  });
+
+  afterEach(() => {
+    socket.stopStreamingEvents();
+    vi.useRealTimers();
+  });
+
+  it('connects when streaming starts and forwards the events', () => {
+    const subscriber = vi.fn();
+    socket.subscribe(subscriber);
+
+    socket.startStreamingEvents();
+    expect(server.connections).toHaveLength(1);
+    expect(server.lastConnection.url).toBe('ws://localhost/events');
+
+    server.accept();
+    server.push(event);
+    server.push([event, { ...event, type: 'assigned' }]);
+
+    expect(subscriber).toHaveBeenCalledTimes(3);
+    expect(subscriber).toHaveBeenCalledWith(event);
+  });
+
+  it('reports the connection states', () => {
+    const states = [];
+    socket.subscribeToConnectionState((state) => states.push(state));
+
+    socket.startStreamingEvents();
+    server.accept();
+    server.drop();
+
+    expect(states).toEqual([
+      ConnectionState.Connecting,
+      ConnectionState.Open,
+      ConnectionState.Error,
+      ConnectionState.Closed,
+    ]);
+  });
+
+  it('reconnects with an exponential backoff', async () => {
+    socket.startStreamingEvents();
+    server.drop();
+
+    await vi.advanceTimersByTimeAsync(99);
+    expect(server.connections).toHaveLength(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(server.connections).toHaveLength(2);
+
+    server.drop();
+    await vi.advanceTimersByTimeAsync(199);
+    expect(server.connections).toHaveLength(2);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(server.connections).toHaveLength(3);
+
+    // A successful connection resets the backoff
+    server.accept();
+    server.drop();
+    await vi.advanceTimersByTimeAsync(100);
+    expect(server.connections).toHaveLength(4);
+  });
+
+  it('retries with the backoff when the url is rejected', async () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const FakeWebSocket = server.createWebSocketClass();
+    let attempts = 0;
+    const states = [];
+    socket = new WebSocketSocket('foo', {
+      WebSocketImpl: class extends FakeWebSocket {
+        constructor(url) {
+          if (++attempts <= 2) {
+            throw new SyntaxError(`Invalid url: ${url}`);
+          }
+          super(url);
+        }
+      },
+      initialReconnectDelayMs: 100,
+    });
+    socket.subscribeToConnectionState((state) => states.push(state));
+
+    expect(() => socket.startStreamingEvents()).not.toThrow();
+    expect(socket.connectionState).toBe(ConnectionState.Error);
+
+    await vi.advanceTimersByTimeAsync(100);
+    expect(attempts).toBe(2);
+    await vi.advanceTimersByTimeAsync(199);
+    expect(attempts).toBe(2);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(server.connections).toHaveLength(1);
+
+    server.accept();
+    expect(states).toEqual([
+      ConnectionState.Connecting,
+      ConnectionState.Error,
+      ConnectionState.Connecting,
+      ConnectionState.Error,
+      ConnectionState.Connecting,
+      ConnectionState.Open,
+    ]);
+    consoleError.mockRestore();
+  });
+
+  it('caps the reconnection delay', () => {
+    socket._reconnectAttempts = 10;
+    expect(socket.getReconnectDelayMs()).toBe(1000);
+  });
+
+  it('reconnects when the server does not answer the ping', async () => {
+    socket.startStreamingEvents();
+    server.accept();
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(server.received).toEqual([{ type: 'ping' }]);
+
+    await vi.advanceTimersByTimeAsync(200);
+    expect(socket.connectionState).toBe(ConnectionState.Closed);
+    expect(server.connections[0].isClosed).toBe(true);
+
+    await vi.advanceTimersByTimeAsync(100);
+    expect(server.connections).toHaveLength(2);
+  });
+
+  it('keeps the connection when the server answers the ping', async () => {
+    const subscriber = vi.fn();
+    socket.subscribe(subscriber);
+    socket.startStreamingEvents();
+    server.accept();
+
+    await vi.advanceTimersByTimeAsync(1000);
+    server.push({ type: 'pong' });
+    await vi.advanceTimersByTimeAsync(500);
+
+    expect(socket.connectionState).toBe(ConnectionState.Open);
+    expect(subscriber).not.toHaveBeenCalled();
+  });
+
+  it('does not reconnect after streaming stops', async () => {
+    socket.startStreamingEvents();
+    server.accept();
+
+    socket.stopStreamingEvents();
+    await vi.advanceTimersByTimeAsync(5000);
+
+    expect(server.connections).toHaveLength(1);
+    expect(socket.connectionState).toBe(ConnectionState.Closed);
+  });
+
+  it('sends an event to the server only while the connection is open', () => {
+    socket.startStreamingEvents();
+    expect(() => socket.send(event)).toThrow('The connection is connecting, the event can not be sent');
+
+    server.accept();
+    socket.send(event);
+
+    expect(server.received).toEqual([event]);
+  });
+
+  it('ignores a message that is not JSON', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const subscriber = vi.fn();
+    socket.subscribe(subscriber);
+    socket.startStreamingEvents();
+    server.accept();
+
+    server.lastConnection.onmessage({ data: 'not json' });
+
+    expect(subscriber).not.toHaveBeenCalled();
+    expect(console.error).toHaveBeenCalled();
+    vi.restoreAllMocks();
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest';
+import { buildBlurb, splitGraphemes, stripHtml, stripMarkdown } from './blurb';
+
+describe('buildBlurb', () => {
+  it('should collapse the whitespace and keep a short text as it is', () => {
+    expect(buildBlurb('  Hello\n\n  there\tfriend  ')).toBe('Hello there friend');
+  });
+
+  it('should not cut an emoji or a combining character in half', () => {
+    const family = '👨‍👩‍👧';
+    const accented = 'é';
+
+    expect(buildBlurb(family.repeat(3), { maxLength: 3 })).toBe(family.repeat(3));
+    expect(buildBlurb(family.repeat(4), { maxLength: 3 })).toBe(`${family}${family}…`);
+    expect(buildBlurb(accented.repeat(5), { maxLength: 3 })).toBe(`${accented}${accented}…`);
+  });
+
+  it('should truncate at the last word boundary', () => {
+    expect(buildBlurb('The quick brown fox jumps', { maxLength: 14 })).toBe('The quick…');
+    expect(buildBlurb('The quick brown fox jumps', { maxLength: 14, wordBoundary: false })).toBe('The quick bro…');
+  });
+
+  it('should cut inside a long word rather than drop most of the blurb', () => {
+    expect(buildBlurb('Hi supercalifragilisticexpialidocious', { maxLength: 10 })).toBe('Hi superc…');
+  });
+
+  it('should keep the markup when the rules are turned off', () => {
+    expect(buildBlurb('<b>**Hi**</b>', { stripHtml: false, stripMarkdown: false })).toBe('<b>**Hi**</b>');
+  });
+});
+
+describe('stripHtml', () => {
+  it('should remove the tags, the hidden elements and decode the entities', () => {
+    expect(stripHtml('<style>p{}</style><p>Fish &amp; chips&nbsp;&#8364;5</p>').trim()).toBe('Fish & chips €5');
+  });
+
+  it('should separate the blocks but not the inline elements', () => {
+    expect(buildBlurb('<p>Hello <b>wor</b>ld,</p><p>Bye<br>now</p>')).toBe('Hello world, Bye now');
+  });
+
+  it('should keep the text that only looks like a comparison', () => {
+    expect(stripHtml('a < b and c > d')).toBe('a < b and c > d');
+  });
+
+  it('should keep the text of a comparison written without spaces', () => {
+    expect(buildBlurb('if a<b and c>d then')).toBe('if a<b and c>d then');
+    expect(buildBlurb('x<y, y>z and <notatag>')).toBe('x<y, y>z and <notatag>');
+  });
+
+  it('should remove the tags with attributes', () => {
+    const html = '<a href="https://example.com" target=_blank>Link</a> <span hidden>x</span><img src=\'a.png\' />';
+
+    expect(buildBlurb(html)).toBe('Link x');
+    expect(stripHtml('<!-- note -->Hi<br/>there')).toBe('Hi there');
+  });
+});
+
+describe('stripMarkdown', () => {
+  it('should keep the text of the markdown syntax', () => {
+    const markdown = ['# Title', '> quoted', '- item', '1. first', '```js', 'code()', '```', '![logo](a.png) `x`'];
+
+    expect(stripMarkdown(markdown.join('\n')).split('\n')).toEqual([
+      'Title',
+      'quoted',
+      'item',
+      'first',
+      '',
+      'code()',
+      '',
+      'logo x',
+    ]);
+  });
+
+  it('should remove the emphasis but not the underscores inside words', () => {
+    expect(stripMarkdown('**bold** *em* _it_ ~~old~~ snake_case_name')).toBe('bold em it old snake_case_name');
+  });
+});
+
+describe('splitGraphemes', () => {
+  it('should split a text into the characters a user sees', () => {
+    expect(splitGraphemes('a🇫🇷b')).toEqual(['a', '🇫🇷', 'b']);
+  });
+});
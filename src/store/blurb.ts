@@ -0,0 +1,146 @@
+export type BlurbOptions = {
+  //Maximum length of the blurb in graphemes (the characters a user sees), the ellipsis included
+  maxLength?: number;
+  //Appended when the text is truncated
+  ellipsis?: string;
+  //Removes the tags and decodes the entities of a body written in HTML
+  stripHtml?: boolean;
+  //Removes the markdown syntax (emphasis, links, headings, lists, code) and keeps the text
+  stripMarkdown?: boolean;
+  //Truncates at the end of the last whole word, unless that would drop more than half of the blurb
+  wordBoundary?: boolean;
+};
+
+export const defaultBlurbOptions: Required<BlurbOptions> = {
+  maxLength: 256,
+  ellipsis: '…',
+  stripHtml: true,
+  stripMarkdown: true,
+  wordBoundary: true,
+};
+
+//The content of these elements is not text the user would read
+const hiddenElementPattern = /<(script|style|head)\b[^>]*>[\s\S]*?<\/\1\s*>/gi;
+
+//The tags that start a new line, the other ones (b, a, span...) are inside a line
+const blockTags =
+  'address article aside blockquote br dd div dl dt figcaption figure footer h[1-6] header hr li main nav ol p pre ' +
+  'section table tbody td tfoot th thead tr ul';
+const inlineTags =
+  'a abbr b bdi bdo big body caption center cite code col colgroup data del dfn em font html i img ins kbd label ' +
+  'mark meta q s samp small span strike strong sub sup time u var wbr';
+
+/*An attribute without a value is one of the boolean ones, so "a<b and c>d" is not read as <b> with 2 attributes.
+The other ones have a quoted or an unquoted value */
+const booleanAttributes =
+  'allowfullscreen async autofocus autoplay checked controls default defer disabled hidden loop';
+const attributeValue = `\\s*=\\s*(?:"[^"]*"|'[^']*'|[^\\s"'<>=\`]+)`;
+const attribute = `\\s+(?:${booleanAttributes.split(' ').join('|')}|[a-z][\\w:.-]*${attributeValue})`;
+
+//Only the tags of a known element with valid attributes are removed, so "a < b" and "a<b" stay as they are
+function createTagPattern(tags: string): RegExp {
+  const names = tags.split(' ').join('|');
+  return new RegExp(`<(?:(?:${names})(?:${attribute})*\\s*\\/?|\\/(?:${names})\\s*)>`, 'gi');
+}
+
+const blockTagPattern = createTagPattern(blockTags);
+const inlineTagPattern = createTagPattern(inlineTags);
+const commentPattern = /<!--[\s\S]*?-->/g;
+
+const namedEntities: Record<string, string> = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text: string): string {
+  return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (entity: string, name: string) => {
+    if (name[0] === '#') {
+      const codePoint = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+    }
+    return namedEntities[name.toLowerCase()] ?? entity;
+  });
+}
+
+//The block tags become spaces so that "<p>a</p><p>b</p>" does not become "ab", the inline ones are only removed
+export function stripHtml(text: string): string {
+  return decodeEntities(
+    text
+      .replace(hiddenElementPattern, ' ')
+      .replace(commentPattern, '')
+      .replace(blockTagPattern, ' ')
+      .replace(inlineTagPattern, '')
+  );
+}
+
+/*Removes the syntax of the common markdown and keeps the text the user would read.
+It runs on the lines as they were written, before the whitespace is collapsed */
+export function stripMarkdown(text: string): string {
+  return (
+    text
+      //Fences of the code blocks, the code itself is kept
+      .replace(/^\s*(```|~~~).*$/gm, '')
+      //Horizontal rules
+      .replace(/^\s*([-*_])(\s*\1){2,}\s*$/gm, '')
+      //Headings, quotes and list markers
+      .replace(/^\s*#{1,6}\s+/gm, '')
+      .replace(/^\s*(>\s?)+/gm, '')
+      .replace(/^\s*([-*+]|\d+[.)])\s+/gm, '')
+      //Images keep their alt text and links their text
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+      .replace(/`([^`]+)`/g, '$1')
+      //Emphasis, an underscore inside a word (snake_case) is not emphasis
+      .replace(/(\*\*|__|~~)(?=\S)([^\n]*?\S)\1/g, '$2')
+      .replace(/\*(?=\S)([^*\n]*?\S)\*/g, '$1')
+      .replace(/(^|[^\w])_(?=\S)([^_\n]*?\S)_(?!\w)/g, '$1$2')
+  );
+}
+
+type GraphemeSegmenter = { segment(text: string): Iterable<{ segment: string }> };
+type SegmenterConstructor = new (locale?: string, options?: { granularity: 'grapheme' }) => GraphemeSegmenter;
+
+//Intl.Segmenter is not in the lib of the target, and the older browsers do not have it
+const Segmenter = (Intl as unknown as { Segmenter?: SegmenterConstructor }).Segmenter;
+const graphemeSegmenter = Segmenter ? new Segmenter(undefined, { granularity: 'grapheme' }) : null;
+
+/*Splits the text into graphemes, so an emoji sequence or a letter with its combining marks is never cut in half.
+Without Intl.Segmenter it falls back to the code points, which at least keeps the surrogate pairs together */
+export function splitGraphemes(text: string): string[] {
+  return graphemeSegmenter ? Array.from(graphemeSegmenter.segment(text), ({ segment }) => segment) : Array.from(text);
+}
+
+/**
+ * Returns the preview of a message body shown in the conversation list: the plain text on a single line,
+ * truncated to maxLength graphemes with an ellipsis.
+ *
+ * @param {string} body the body of the message as it was received
+ * @param {BlurbOptions} options the missing ones keep their default
+ * @returns {string}
+ */
+export function buildBlurb(body: string, options: BlurbOptions = {}): string {
+  const { maxLength, ellipsis, wordBoundary, ...rules } = { ...defaultBlurbOptions, ...options };
+
+  let text = rules.stripHtml ? stripHtml(body) : body;
+  text = rules.stripMarkdown ? stripMarkdown(text) : text;
+  text = text.replace(/\s+/g, ' ').trim();
+
+  const graphemes = splitGraphemes(text);
+  if (graphemes.length <= maxLength) {
+    return text;
+  }
+
+  //Too short for the ellipsis, the blurb is only cut
+  const kept = maxLength - splitGraphemes(ellipsis).length;
+  if (kept <= 0) {
+    return graphemes.slice(0, Math.max(0, maxLength)).join('');
+  }
+
+  let end = kept;
+  //A cut in the middle of a word goes back to the last space, if it is in the second half of the blurb
+  if (wordBoundary && graphemes[kept] !== ' ') {
+    const lastSpace = graphemes.lastIndexOf(' ', kept - 1);
+    if (lastSpace > kept / 2) {
+      end = lastSpace;
+    }
+  }
+
+  return `${graphemes.slice(0, end).join('').replace(/ $/, '')}${ellipsis}`;
+}
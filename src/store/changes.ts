@@ -0,0 +1,108 @@
+import { Conversation, ConversationChangeSet } from './utils.types';
+
+/*Indexes (into the given array) of one longest increasing subsequence.
+The conversations on this subsequence kept their relative order, every other conversation is reported as moved */
+function longestIncreasingSubsequence(values: number[]): Set<number> {
+  const tails: number[] = [];
+  const previous: number[] = new Array(values.length).fill(-1);
+
+  values.forEach((value, index) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (values[tails[middle]] < value) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    previous[index] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = index;
+  });
+
+  const result = new Set<number>();
+  for (let index = tails.length ? tails[tails.length - 1] : -1; index !== -1; index = previous[index]) {
+    result.add(index);
+  }
+  return result;
+}
+
+//Array fields (the tags) are replaced on every change, they are compared by their items
+export function isSameValue(previous: unknown, current: unknown): boolean {
+  if (Array.isArray(previous) && Array.isArray(current)) {
+    return previous.length === current.length && previous.every((item, index) => item === current[index]);
+  }
+  return previous === current;
+}
+
+function changedFields(previous: Conversation, current: Conversation): Partial<Conversation> {
+  const changes: Partial<Conversation> = {};
+  (Object.keys(current) as (keyof Conversation)[]).forEach((key) => {
+    if (!isSameValue(previous[key], current[key])) {
+      (changes as Record<string, unknown>)[key] = current[key];
+    }
+  });
+  return changes;
+}
+
+/**
+ * Computes the change set between two versions of the visible (filtered and sorted) conversation list.
+ *
+ * @param previous the visible list the listeners saw last time
+ * @param current the visible list now
+ * @param exists tells if a conversation that left the list still exists in the store (hidden) or not (removed)
+ */
+export function diffConversations(
+  previous: readonly Conversation[],
+  current: readonly Conversation[],
+  exists: (conversationId: string) => boolean
+): ConversationChangeSet {
+  const changeSet: ConversationChangeSet = { added: [], updated: [], removed: [], moved: [] };
+
+  const previousIndexes = new Map<string, number>();
+  previous.forEach((conversation, index) => previousIndexes.set(conversation.id, index));
+  const currentIds = new Set(current.map((conversation) => conversation.id));
+
+  previous.forEach((conversation) => {
+    if (!currentIds.has(conversation.id)) {
+      changeSet.removed.push({ id: conversation.id, reason: exists(conversation.id) ? 'hidden' : 'removed' });
+    }
+  });
+
+  //Conversations that are in both lists, in their current order
+  const kept: { conversation: Conversation; from: number; to: number }[] = [];
+  current.forEach((conversation, index) => {
+    const previousIndex = previousIndexes.get(conversation.id);
+    if (previousIndex === undefined) {
+      changeSet.added.push({ conversation, index });
+      return;
+    }
+
+    kept.push({ conversation, from: previousIndex, to: index });
+    const changes = changedFields(previous[previousIndex], conversation);
+    if (Object.keys(changes).length > 0) {
+      changeSet.updated.push({ id: conversation.id, changes });
+    }
+  });
+
+  /*An insertion or a removal shifts the index of every conversation after it,
+  so only the conversations that changed their order relative to the others are reported as moved */
+  const inOrder = longestIncreasingSubsequence(kept.map(({ from }) => from));
+  kept.forEach(({ conversation, from, to }, index) => {
+    if (!inOrder.has(index)) {
+      changeSet.moved.push({ id: conversation.id, from, to });
+    }
+  });
+
+  return changeSet;
+}
+
+export function isEmptyChangeSet(changeSet: ConversationChangeSet): boolean {
+  return (
+    changeSet.added.length === 0 &&
+    changeSet.updated.length === 0 &&
+    changeSet.removed.length === 0 &&
+    changeSet.moved.length === 0
+  );
+}
@@ -0,0 +1,28 @@
+/*Source of the current time of the store (ms since epoch), so the time-based state can be tested
+without waiting or mocking Date. The timers of the store still use setTimeout */
+export interface Clock {
+  now(): number;
+}
+
+export const systemClock: Clock = {
+  now: () => Date.now(),
+};
+
+/**
+ * Clock that only moves when it is told to, for the tests.
+ */
+export class ManualClock implements Clock {
+  constructor(private time: number = 0) {}
+
+  now(): number {
+    return this.time;
+  }
+
+  set(time: number): void {
+    this.time = time;
+  }
+
+  advance(ms: number): void {
+    this.time += ms;
+  }
+}
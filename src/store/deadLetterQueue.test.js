@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { DeadLetterQueue } from './deadLetterQueue';
+
+const rejection = { reason: 'UNKNOWN_EVENT_TYPE', message: 'Unknown event type: test' };
+
+describe('DeadLetterQueue', () => {
+  it('should drop the oldest entry when it is full', () => {
+    const queue = new DeadLetterQueue(2);
+    queue.add('event1', rejection);
+    queue.add('event2', rejection);
+    queue.add('event3', rejection);
+
+    expect(queue.getEntries().map(({ event }) => event)).toEqual(['event2', 'event3']);
+  });
+
+  it('should not expose its internal array', () => {
+    const queue = new DeadLetterQueue();
+    queue.add('event1', rejection);
+
+    queue.getEntries().pop();
+
+    expect(queue.size).toBe(1);
+  });
+
+  it('should count the attempts of the entries that are rejected again', () => {
+    const queue = new DeadLetterQueue();
+    queue.add('event1', rejection);
+    queue.add('event2', rejection);
+
+    const result = queue.retry((event) => (event === 'event1' ? null : { ...rejection, reason: 'MISSING_FIELD' }));
+
+    expect(result).toEqual({ accepted: 1, rejected: 1 });
+    expect(queue.getEntries()).toEqual([
+      expect.objectContaining({ event: 'event2', reason: 'MISSING_FIELD', attempts: 2 }),
+    ]);
+  });
+});
@@ -0,0 +1,72 @@
+import { Clock, systemClock } from './clock';
+import { DeadLetter, EventRejection } from './utils.types';
+
+const defaultCapacity = 1000;
+
+/**
+ * Keeps the events the store rejected, with the reason, so they can be inspected and retried
+ * (e.g. after registering a handler for an unknown type). When the queue is full the oldest entry is dropped.
+ */
+export class DeadLetterQueue {
+  private entries: DeadLetter[] = [];
+
+  constructor(private capacity: number = defaultCapacity, private clock: Clock = systemClock) {}
+
+  get size(): number {
+    return this.entries.length;
+  }
+
+  add(event: unknown, rejection: EventRejection, attempts = 1): void {
+    this.entries.push({ ...rejection, event, rejectedAt: this.clock.now(), attempts });
+    if (this.entries.length > this.capacity) {
+      this.entries.shift();
+    }
+  }
+
+  getEntries(): readonly DeadLetter[] {
+    return [...this.entries];
+  }
+
+  clear(): void {
+    this.entries = [];
+  }
+
+  //Removes every entry and returns them, oldest first
+  drain(): DeadLetter[] {
+    const entries = this.entries;
+    this.entries = [];
+    return entries;
+  }
+
+  /**
+   * Handles the entries again. The ones the handler still rejects stay in the queue with the new reason.
+   *
+   * @param handle returns null if the event was accepted, otherwise why it was rejected
+   * @param predicate only the matching entries are retried, all of them by default
+   * @returns how many entries were accepted and how many are still rejected
+   */
+  retry(
+    handle: (event: unknown) => EventRejection | null,
+    predicate: (entry: DeadLetter) => boolean = () => true
+  ): { accepted: number; rejected: number } {
+    const result = { accepted: 0, rejected: 0 };
+    const entries = this.drain();
+
+    entries.forEach((entry) => {
+      if (!predicate(entry)) {
+        this.entries.push(entry);
+        return;
+      }
+
+      const rejection = handle(entry.event);
+      if (rejection) {
+        result.rejected++;
+        this.add(entry.event, rejection, entry.attempts + 1);
+      } else {
+        result.accepted++;
+      }
+    });
+
+    return result;
+  }
+}
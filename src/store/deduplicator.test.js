@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { ManualClock } from './clock';
+import { EventDeduplicator, getEventKey } from './deduplicator';
+
+const event = (data, eventId) => ({
+  type: 'messageReceived',
+  ...(eventId ? { eventId } : {}),
+  data: { conversationId: 'conversation1', timestamp: 1, ...data },
+});
+
+describe('getEventKey', () => {
+  it('should use the eventId of the server', () => {
+    expect(getEventKey(event({}, 'event-42'))).toBe('event-42');
+  });
+
+  it('should give the same key to the same content whatever the order of the keys', () => {
+    const reordered = {
+      data: { body: 'Body', timestamp: 1, conversationId: 'conversation1' },
+      type: 'messageReceived',
+    };
+
+    expect(getEventKey(reordered)).toBe(getEventKey(event({ body: 'Body' })));
+    expect(getEventKey(event({ body: 'Body' }))).toMatch(/^conversation1-1-/);
+  });
+
+  it('should give different keys to different events with the same timestamp', () => {
+    expect(getEventKey(event({ body: 'First' }))).not.toBe(getEventKey(event({ body: 'Second' })));
+    expect(getEventKey(event({}))).not.toBe(getEventKey({ ...event({}), type: 'typingStarted' }));
+  });
+});
+
+describe('EventDeduplicator', () => {
+  it('should forget the least recently seen key beyond its capacity', () => {
+    const deduplicator = new EventDeduplicator({ capacity: 2 });
+    deduplicator.add('a');
+    deduplicator.add('b');
+    //Seeing a again makes b the least recently seen
+    expect(deduplicator.has('a')).toBe(true);
+    deduplicator.add('c');
+
+    expect(deduplicator.size).toBe(2);
+    expect(deduplicator.has('b')).toBe(false);
+    expect(deduplicator.has('a')).toBe(true);
+  });
+
+  it('should forget the keys seen before the window', () => {
+    const clock = new ManualClock(0);
+    const deduplicator = new EventDeduplicator({ windowMs: 100 }, clock);
+    deduplicator.add('a');
+    clock.advance(60);
+    deduplicator.add('b');
+    clock.advance(60);
+
+    expect(deduplicator.has('a')).toBe(false);
+    expect(deduplicator.has('b')).toBe(true);
+    expect(deduplicator.entries()).toEqual([['b', 120]]);
+  });
+});
@@ -0,0 +1,128 @@
+import { Clock, systemClock } from './clock';
+import { EventData } from './utils.types';
+
+const defaultCapacity = 10000;
+
+//JSON with the keys of the objects sorted, so the same data gives the same text whatever the order of its keys
+function stableStringify(value: unknown): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    const object = value as Record<string, unknown>;
+    return `{${Object.keys(object)
+      .sort()
+      .filter((key) => object[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(object[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/*53-bit string hash (cyrb53). With 10 000 remembered events the odds that two different events of the same
+conversation and timestamp collide are negligible, and it is much smaller to keep than the text itself */
+function hashText(text: string): string {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let index = 0; index < text.length; index++) {
+    const code = text.charCodeAt(index);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+/**
+ * Returns the key an event is deduplicated with: the eventId given by the server,
+ * or else the conversation, the timestamp and a hash of the type and the whole data.
+ * Two different events of a conversation with the same timestamp get different keys.
+ */
+export function getEventKey(event: { eventId?: string; type: string; data: EventData }): string {
+  if (event.eventId) {
+    return event.eventId;
+  }
+  const { conversationId, timestamp } = event.data;
+  return `${conversationId}-${timestamp}-${hashText(stableStringify({ type: event.type, data: event.data }))}`;
+}
+
+export type DeduplicatorOptions = {
+  //Maximum number of keys remembered, the least recently seen one is forgotten first
+  capacity?: number;
+  //Keys seen longer ago than this are forgotten, null keeps them until the capacity is reached
+  windowMs?: number | null;
+};
+
+/**
+ * Remembers the keys of the events already processed, within a bounded memory.
+ * An event whose key was forgotten (too old or pushed out by newer ones) is processed again if it is received again.
+ */
+export class EventDeduplicator {
+  //The insertion order of a Map is the order in which the keys were last seen, the oldest first
+  private keys = new Map<string, number>();
+
+  private capacity: number;
+
+  private windowMs: number | null;
+
+  constructor(
+    { capacity = defaultCapacity, windowMs = null }: DeduplicatorOptions = {},
+    private clock: Clock = systemClock
+  ) {
+    this.capacity = capacity;
+    this.windowMs = windowMs;
+  }
+
+  get size(): number {
+    return this.keys.size;
+  }
+
+  //A key that is seen again becomes the most recently seen one
+  has(key: string): boolean {
+    this.evictExpired();
+    if (!this.keys.has(key)) {
+      return false;
+    }
+    this.keys.delete(key);
+    this.keys.set(key, this.clock.now());
+    return true;
+  }
+
+  add(key: string, seenAt: number = this.clock.now()): void {
+    this.keys.delete(key);
+    this.keys.set(key, seenAt);
+    this.evictExpired();
+
+    while (this.keys.size > this.capacity) {
+      this.keys.delete(this.keys.keys().next().value as string);
+    }
+  }
+
+  delete(key: string): void {
+    this.keys.delete(key);
+  }
+
+  clear(): void {
+    this.keys.clear();
+  }
+
+  //The keys with the time they were last seen, the oldest first
+  entries(): [string, number][] {
+    return Array.from(this.keys.entries());
+  }
+
+  private evictExpired(): void {
+    if (this.windowMs === null) {
+      return;
+    }
+    const oldestKept = this.clock.now() - this.windowMs;
+    //Deleting the current entry while iterating a Map is safe
+    for (const [key, seenAt] of this.keys) {
+      if (seenAt >= oldestKept) {
+        break;
+      }
+      this.keys.delete(key);
+    }
+  }
+}
@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import { formatMessage, formatTypingText, resolveLocale, typingMessages } from './messageFormat';
+
+describe('formatMessage', () => {
+  it('should pick the plural form of the locale and fill the placeholders', () => {
+    const message = { one: '{name} has # message', other: '{name} has # messages' };
+
+    expect(formatMessage(message, { name: 'Ann', count: 1 }, 'en')).toBe('Ann has 1 message');
+    expect(formatMessage(message, { name: 'Ann', count: 1200 }, 'en')).toBe('Ann has 1,200 messages');
+    expect(formatMessage('{name} {unknown}', { name: 'Ann' }, 'en')).toBe('Ann {unknown}');
+  });
+
+  it('should follow the plural rules of the locale', () => {
+    const message = { one: '# jour', other: '# jours' };
+
+    expect(formatMessage(message, { count: 0 }, 'fr')).toBe('0 jour');
+    expect(formatMessage(message, { count: 0 }, 'en')).toBe('0 jours');
+  });
+
+  it('should fall back to the other form when the message has no form for the category', () => {
+    expect(formatMessage({ other: '# jours' }, { count: 1 }, 'fr')).toBe('1 jours');
+  });
+});
+
+describe('resolveLocale', () => {
+  it('should fall back to the language, then to English', () => {
+    expect(resolveLocale('fr-CA', typingMessages)).toBe('fr');
+    expect(resolveLocale('de', typingMessages)).toBe('en');
+  });
+});
+
+describe('formatTypingText', () => {
+  it('should list a few users in full', () => {
+    expect(formatTypingText([])).toBe('');
+    expect(formatTypingText(['Ann'])).toBe('Ann is replying...');
+    expect(formatTypingText(['Ann', 'Bob', 'Carol'])).toBe('Ann, Bob, Carol are replying...');
+  });
+
+  it('should condense a long list of users', () => {
+    const users = ['Ann', 'Bob', 'Carol', 'Dan', 'Eve'];
+
+    expect(formatTypingText(users)).toBe('Ann, Bob and 3 others are replying...');
+    expect(formatTypingText(users, { maxNames: 3 })).toBe('Ann, Bob, Carol and 2 others are replying...');
+  });
+
+  it('should use the messages and the list words of the locale', () => {
+    expect(formatTypingText(['Ann'], { locale: 'fr-FR' })).toBe('Ann est en train de répondre...');
+    expect(formatTypingText(['Ann', 'Bob', 'Carol', 'Dan'], { locale: 'fr' })).toBe(
+      'Ann, Bob et 2 autres sont en train de répondre...'
+    );
+  });
+
+  it('should use the messages given in the options', () => {
+    const messages = { typing: { one: '{users} writes', other: '{users} write' } };
+
+    expect(formatTypingText(['Ann', 'Bob'], { messages })).toBe('Ann, Bob write');
+  });
+});
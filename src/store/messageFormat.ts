@@ -0,0 +1,120 @@
+//A message with a form for every plural category of the locale, 'other' is required as it is the fallback
+export type PluralMessage = { other: string } & Partial<Record<'zero' | 'one' | 'two' | 'few' | 'many', string>>;
+
+export type MessageTemplate = string | PluralMessage;
+
+//The texts of the typing indicator, {users} is the list of names and # the count of a plural message
+export type TypingMessages = {
+  //The users are typing, the form is picked from the number of typing users
+  typing: PluralMessage;
+  //Between the names of the list, e.g. "Ann, Bob"
+  separator: string;
+  //The end of a condensed list, {names} are the names shown and {others} the count of the ones left out
+  condensed: string;
+  //The users left out of a condensed list, e.g. "3 others"
+  others: PluralMessage;
+};
+
+export const typingMessages: Record<string, TypingMessages> = {
+  en: {
+    typing: { one: '{users} is replying...', other: '{users} are replying...' },
+    separator: ', ',
+    condensed: '{names} and {others}',
+    others: { one: '# other', other: '# others' },
+  },
+  fr: {
+    typing: { one: '{users} est en train de répondre...', other: '{users} sont en train de répondre...' },
+    separator: ', ',
+    condensed: '{names} et {others}',
+    others: { one: '# autre', other: '# autres' },
+  },
+};
+
+export const defaultLocale = 'en';
+
+export type TypingTextOptions = {
+  //BCP 47 tag, e.g. 'fr-CA'. A locale without messages uses the ones of its language, then the English ones
+  locale?: string;
+  //Names listed before the others are counted, e.g. 2 gives "Ann, Bob and 3 others are replying..."
+  maxNames?: number;
+  //Replace the messages of the locale
+  messages?: Partial<TypingMessages>;
+};
+
+const defaultMaxNames = 2;
+
+type PluralRules = { select(count: number): string };
+
+//Intl.PluralRules is not in the lib of the target, and the older browsers do not have it
+const { PluralRules } = Intl as unknown as { PluralRules?: new (locale: string) => PluralRules };
+
+//Without Intl.PluralRules the English rules are the best guess
+function selectPluralCategory(count: number, locale: string): string {
+  return PluralRules ? new PluralRules(locale).select(count) : count === 1 ? 'one' : 'other';
+}
+
+//The locale whose messages are used: the locale itself, its language, or the default one
+export function resolveLocale<T>(locale: string, catalog: Record<string, T>): string {
+  if (Object.prototype.hasOwnProperty.call(catalog, locale)) {
+    return locale;
+  }
+  const [language] = locale.split('-');
+  return Object.prototype.hasOwnProperty.call(catalog, language) ? language : defaultLocale;
+}
+
+/**
+ * Fills the placeholders of a message. A plural message takes the form of the plural category of values.count
+ * in the locale, and its # is the count formatted for the locale.
+ *
+ * @param {MessageTemplate} message e.g. { one: '# other', other: '# others' }
+ * @param {Record<string, string | number>} values e.g. { count: 3 }
+ * @param {string} locale
+ * @returns {string}
+ */
+export function formatMessage(
+  message: MessageTemplate,
+  values: Record<string, string | number>,
+  locale: string
+): string {
+  let text = message as string;
+  if (typeof message !== 'string') {
+    const count = Number(values.count);
+    const category = selectPluralCategory(count, locale) as keyof PluralMessage;
+    text = (message[category] ?? message.other).replace(/#/g, count.toLocaleString(locale));
+  }
+  return text.replace(/\{(\w+)\}/g, (placeholder: string, name: string) =>
+    Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : placeholder
+  );
+}
+
+/**
+ * Returns the typing indicator of the users, e.g. "Ann, Bob are replying..." or "Ann, Bob and 3 others are replying...".
+ * A list longer than maxNames + 1 names is condensed, "and 1 other" would not be shorter than the name.
+ *
+ * @param {string[]} users in the order they started typing
+ * @param {TypingTextOptions} options
+ * @returns {string} empty when nobody is typing
+ */
+export function formatTypingText(users: string[], { locale, maxNames, messages }: TypingTextOptions = {}): string {
+  if (users.length === 0) {
+    return '';
+  }
+
+  const resolvedLocale = resolveLocale(locale || defaultLocale, typingMessages);
+  const { typing, separator, condensed, others } = { ...typingMessages[resolvedLocale], ...messages };
+  const shownCount = Math.max(1, maxNames ?? defaultMaxNames);
+
+  let names = users.join(separator);
+  if (users.length > shownCount + 1) {
+    names = formatMessage(
+      condensed,
+      {
+        names: users.slice(0, shownCount).join(separator),
+        others: formatMessage(others, { count: users.length - shownCount }, resolvedLocale),
+      },
+      resolvedLocale
+    );
+  }
+
+  return formatMessage(typing, { users: names, count: users.length }, resolvedLocale);
+}
@@ -0,0 +1,72 @@
+import { afterEach, describe, it, expect, vi } from 'vitest';
+import { LocalStoragePersistence, MemoryPersistence } from './persistence';
+import { snapshotVersion } from './snapshot';
+import { Store } from './store';
+
+const createStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, value),
+    removeItem: (key) => items.delete(key),
+  };
+};
+
+const messageEvent = {
+  type: 'messageReceived',
+  data: { timestamp: 1, conversationId: 'conversation1', subject: 'Subject', body: 'Body' },
+};
+
+describe('MemoryPersistence', () => {
+  it('should load null before anything is saved', async () => {
+    expect(await new MemoryPersistence().load()).toBeNull();
+  });
+
+  it('should save, load and clear a store snapshot', async () => {
+    const persistence = new MemoryPersistence();
+    const store = new Store();
+    store.handleEvent(messageEvent);
+
+    await persistence.save(store.toSnapshot());
+    const restored = Store.fromSnapshot(await persistence.load());
+    expect(restored.getConversations()).toEqual(store.getConversations());
+
+    await persistence.clear();
+    expect(await persistence.load()).toBeNull();
+  });
+});
+
+describe('LocalStoragePersistence', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should reject instead of throwing when the localStorage is blocked', async () => {
+    const securityError = new Error('The operation is insecure');
+    vi.stubGlobal('window', {
+      get localStorage() {
+        throw securityError;
+      },
+    });
+
+    const persistence = new LocalStoragePersistence();
+
+    await expect(persistence.load()).rejects.toBe(securityError);
+    await expect(persistence.clear()).rejects.toBe(securityError);
+  });
+
+  it('should keep the snapshot as JSON under its key', async () => {
+    const storage = createStorage();
+    const persistence = new LocalStoragePersistence('my-key', storage);
+    const store = new Store();
+    store.handleEvent(messageEvent);
+
+    await persistence.save(store.toSnapshot());
+
+    expect(JSON.parse(storage.getItem('my-key')).version).toBe(snapshotVersion);
+    expect((await persistence.load()).conversations).toHaveLength(1);
+
+    await persistence.clear();
+    expect(storage.getItem('my-key')).toBeNull();
+  });
+});
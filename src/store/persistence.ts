@@ -0,0 +1,61 @@
+import { StoreSnapshot } from './snapshot';
+
+/*Where the store snapshot is kept between two page loads.
+The methods are async so that an adapter can use an async storage such as IndexedDB */
+export interface SnapshotPersistence {
+  //Returns null when nothing was saved yet
+  load(): Promise<StoreSnapshot | null>;
+  save(snapshot: StoreSnapshot): Promise<void>;
+  clear(): Promise<void>;
+}
+
+//Only the part of the Storage interface the adapter needs, so any key-value storage can be passed in
+type KeyValueStorage = Pick<Storage, 'getItem' | 'setItem' | 'removeItem'>;
+
+export const defaultStorageKey = 'conversations-store';
+
+/**
+ * Keeps the snapshot as JSON in the localStorage (or in any storage with the same interface).
+ * The localStorage is only read when it is used: when the browser blocks it, reading it throws a SecurityError
+ * and the methods return a rejected promise instead of the constructor throwing.
+ */
+export class LocalStoragePersistence implements SnapshotPersistence {
+  constructor(private key: string = defaultStorageKey, private storage: KeyValueStorage | null = null) {}
+
+  async load(): Promise<StoreSnapshot | null> {
+    const json = this.getStorage().getItem(this.key);
+    return json === null ? null : (JSON.parse(json) as StoreSnapshot);
+  }
+
+  async save(snapshot: StoreSnapshot): Promise<void> {
+    this.getStorage().setItem(this.key, JSON.stringify(snapshot));
+  }
+
+  async clear(): Promise<void> {
+    this.getStorage().removeItem(this.key);
+  }
+
+  private getStorage(): KeyValueStorage {
+    return this.storage || window.localStorage;
+  }
+}
+
+/**
+ * In-memory persistence for the tests. The snapshot goes through JSON like in a real storage,
+ * so a test fails if something in the snapshot does not survive serialization.
+ */
+export class MemoryPersistence implements SnapshotPersistence {
+  private json: string | null = null;
+
+  async load(): Promise<StoreSnapshot | null> {
+    return this.json === null ? null : (JSON.parse(this.json) as StoreSnapshot);
+  }
+
+  async save(snapshot: StoreSnapshot): Promise<void> {
+    this.json = JSON.stringify(snapshot);
+  }
+
+  async clear(): Promise<void> {
+    this.json = null;
+  }
+}
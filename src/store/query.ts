@@ -0,0 +1,229 @@
+import {
+  Conversation,
+  ConversationPage,
+  ConversationQuery,
+  ConversationSla,
+  ConversationSort,
+  ConversationStatus,
+  ConversationStatusKeys,
+  Message,
+} from './utils.types';
+
+//Special assignee values of the query, any other value is the name of the assigned user
+export const Assignee = {
+  Unassigned: 'unassigned',
+  Mine: 'mine',
+} as const;
+
+export type QueryContext = {
+  //Assignees excluded when the query does not override excludedAssignees
+  defaultExcludedAssignees: readonly string[];
+  //Statuses returned when the query has no status, closed, snoozed and archived conversations are hidden by default
+  defaultStatuses: readonly ConversationStatusKeys[];
+  getMessages: (conversationId: string) => readonly Message[];
+  getUnreadCount: (conversationId: string, viewer: string) => number;
+  getSla: (conversation: Conversation) => ConversationSla;
+  //False for a conversation that only received read markers or tags, it is not listed
+  hasContent: (conversationId: string) => boolean;
+};
+
+/*isUnread is only set when the query sorts the unread conversations first,
+dueAt when it sorts by SLA due time (Infinity for a conversation without a pending response) */
+export type SortKey = Pick<Conversation, 'id' | 'lastUpdatedTimestamp'> & { isUnread?: boolean; dueAt?: number };
+
+/*Unread first or due first when it is known, then most recently updated first.
+The id breaks the ties so the order is total, which the cursor needs to know exactly where the previous page stopped */
+export function compareConversations(a: SortKey, b: SortKey): number {
+  if (Boolean(a.isUnread) !== Boolean(b.isUnread)) {
+    return a.isUnread ? -1 : 1;
+  }
+  if (a.dueAt !== undefined && b.dueAt !== undefined && a.dueAt !== b.dueAt) {
+    return a.dueAt < b.dueAt ? -1 : 1;
+  }
+  if (a.lastUpdatedTimestamp !== b.lastUpdatedTimestamp) {
+    return b.lastUpdatedTimestamp - a.lastUpdatedTimestamp;
+  }
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+//The unread and due prefixes are only there when the list is sorted by them
+export function encodeCursor(sortKey: SortKey): string {
+  const unreadPrefix = sortKey.isUnread === undefined ? '' : sortKey.isUnread ? 'unread:' : 'read:';
+  const duePrefix = sortKey.dueAt === undefined ? '' : `due:${sortKey.dueAt}:`;
+  return `${unreadPrefix}${duePrefix}${sortKey.lastUpdatedTimestamp}:${sortKey.id}`;
+}
+
+function decodeCursor(cursor: string): SortKey | null {
+  const unreadMatch = /^(unread|read):/.exec(cursor);
+  let rest = unreadMatch ? cursor.slice(unreadMatch[0].length) : cursor;
+
+  const dueMatch = /^due:([^:]+):/.exec(rest);
+  const dueAt = dueMatch ? Number(dueMatch[1]) : undefined;
+  if (dueMatch) {
+    rest = rest.slice(dueMatch[0].length);
+  }
+
+  const separatorIndex = rest.indexOf(':');
+  const lastUpdatedTimestamp = Number(rest.slice(0, separatorIndex));
+  if (separatorIndex === -1 || Number.isNaN(lastUpdatedTimestamp) || Number.isNaN(dueAt)) {
+    return null;
+  }
+  return {
+    lastUpdatedTimestamp,
+    id: rest.slice(separatorIndex + 1),
+    ...(unreadMatch ? { isUnread: unreadMatch[1] === 'unread' } : {}),
+    ...(dueMatch ? { dueAt } : {}),
+  };
+}
+
+/**
+ * Builds the function that returns the sort key of a conversation for the sort order of the query.
+ * Throws if the query sorts the unread conversations first without a viewer, unread is per viewer.
+ */
+export function createSortKey(
+  query: ConversationQuery,
+  context: QueryContext
+): (conversation: Conversation) => SortKey {
+  const { sort = ConversationSort.LastUpdated, viewer } = query;
+
+  if (sort === ConversationSort.LastUpdated) {
+    return (conversation) => conversation;
+  }
+  if (sort === ConversationSort.SlaDue) {
+    return (conversation) => ({
+      id: conversation.id,
+      lastUpdatedTimestamp: conversation.lastUpdatedTimestamp,
+      dueAt: context.getSla(conversation).dueAt ?? Infinity,
+    });
+  }
+  if (!viewer) {
+    throw new Error('The sort "unreadFirst" needs the viewer of the query');
+  }
+
+  return ({ id, lastUpdatedTimestamp }) => ({
+    id,
+    lastUpdatedTimestamp,
+    isUnread: context.getUnreadCount(id, viewer) > 0,
+  });
+}
+
+/**
+ * Builds the predicate that tells if a conversation matches every filter of the query.
+ * Throws if the query asks for 'mine' without a viewer, as there is no way to know who 'mine' is.
+ */
+export function createConversationFilter(
+  query: ConversationQuery,
+  context: QueryContext
+): (conversation: Conversation) => boolean {
+  const { assignee, viewer, updatedAfter, updatedBefore, minMessageCount, tags = [] } = query;
+  const excludedAssignees = query.excludedAssignees || context.defaultExcludedAssignees;
+  const text = query.text?.trim().toLowerCase();
+  const statuses = query.status === undefined ? context.defaultStatuses : ([] as string[]).concat(query.status);
+  const slaStates = query.slaState === undefined ? null : ([] as string[]).concat(query.slaState);
+
+  if (assignee === Assignee.Mine && !viewer) {
+    throw new Error('The assignee "mine" needs the viewer of the query');
+  }
+
+  return (conversation: Conversation) => {
+    if (!context.hasContent(conversation.id)) {
+      return false;
+    }
+
+    //A conversation without a status was created before the statuses existed, it is open
+    if (!statuses.includes(conversation.status || ConversationStatus.Open)) {
+      return false;
+    }
+
+    if (conversation.assignedUser !== null && excludedAssignees.includes(conversation.assignedUser)) {
+      return false;
+    }
+
+    if (assignee === Assignee.Unassigned && conversation.assignedUser !== null) {
+      return false;
+    }
+    if (assignee === Assignee.Mine && conversation.assignedUser !== viewer) {
+      return false;
+    }
+    if (
+      assignee !== undefined &&
+      assignee !== Assignee.Unassigned &&
+      assignee !== Assignee.Mine &&
+      conversation.assignedUser !== assignee
+    ) {
+      return false;
+    }
+
+    if (updatedAfter !== undefined && conversation.lastUpdatedTimestamp <= updatedAfter) {
+      return false;
+    }
+    if (updatedBefore !== undefined && conversation.lastUpdatedTimestamp >= updatedBefore) {
+      return false;
+    }
+    if (minMessageCount !== undefined && conversation.messageCount < minMessageCount) {
+      return false;
+    }
+
+    //Same as for the status, a conversation without tags was created before the tags existed
+    if (tags.length > 0 && !tags.every((tag) => (conversation.tags || []).includes(tag))) {
+      return false;
+    }
+
+    if (slaStates && !slaStates.includes(context.getSla(conversation).state)) {
+      return false;
+    }
+
+    if (text) {
+      //The subject of the conversation or the subject/body of any of its messages
+      const matchesText =
+        conversation.subject.toLowerCase().includes(text) ||
+        context
+          .getMessages(conversation.id)
+          .some(
+            (message) => message.subject.toLowerCase().includes(text) || message.body.toLowerCase().includes(text)
+          );
+      if (!matchesText) {
+        return false;
+      }
+    }
+
+    return true;
+  };
+}
+
+/**
+ * Returns one page of the sorted conversations.
+ * A cursor takes precedence over the offset, both can be combined with a limit.
+ * getSortKey has to be the one the conversations were sorted with.
+ */
+export function paginateConversations(
+  sortedConversations: Conversation[],
+  { offset = 0, limit, cursor }: Pick<ConversationQuery, 'offset' | 'limit' | 'cursor'>,
+  getSortKey: (conversation: Conversation) => SortKey = (conversation) => conversation
+): ConversationPage {
+  let start = Math.max(0, offset);
+
+  if (cursor) {
+    const cursorConversation = decodeCursor(cursor);
+    if (!cursorConversation) {
+      throw new Error(`Invalid conversation cursor: ${cursor}`);
+    }
+    //First conversation that comes after the cursor, it works even if the cursor conversation changed meanwhile
+    const index = sortedConversations.findIndex(
+      (conversation) => compareConversations(getSortKey(conversation), cursorConversation) > 0
+    );
+    start = index === -1 ? sortedConversations.length : index;
+  }
+
+  const end = limit === undefined ? sortedConversations.length : start + Math.max(0, limit);
+  const conversations = sortedConversations.slice(start, end);
+
+  return {
+    conversations,
+    total: sortedConversations.length,
+    nextCursor:
+      conversations.length > 0 && end < sortedConversations.length
+        ? encodeCursor(getSortKey(conversations[conversations.length - 1]))
+        : null,
+  };
+}
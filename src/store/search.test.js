@@ -0,0 +1,79 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { buildSnippet, foldText, SearchIndex, tokenize } from './search';
+
+const message = (id, conversationId, subject, body) => ({ id, conversationId, subject, body, timestamp: 1 });
+
+describe('foldText', () => {
+  it('should ignore the case and the diacritics', () => {
+    expect(foldText('Élan CAFÉ naïve')).toBe('elan cafe naive');
+  });
+});
+
+describe('tokenize', () => {
+  it('should split on punctuation and keep the offsets of the original text', () => {
+    expect(tokenize('Hello, Wörld!')).toEqual([
+      { term: 'hello', start: 0, end: 5 },
+      { term: 'world', start: 7, end: 12 },
+    ]);
+  });
+
+  it('should keep a decomposed accented letter in the same token', () => {
+    expect(tokenize('café au lait').map(({ term }) => term)).toEqual(['cafe', 'au', 'lait']);
+  });
+});
+
+describe('buildSnippet', () => {
+  it('should highlight the matched terms', () => {
+    const snippet = buildSnippet('The invoice is wrong', new Set(['invoice']));
+    expect(snippet.text).toBe('The invoice is wrong');
+    expect(snippet.highlights).toEqual([{ start: 4, end: 11 }]);
+  });
+
+  it('should cut a window around the first match of a long text', () => {
+    const text = `${'lorem '.repeat(40)}invoice${' ipsum'.repeat(40)}`;
+    const snippet = buildSnippet(text, new Set(['invoice']));
+
+    expect(snippet.text.startsWith('…')).toBe(true);
+    expect(snippet.text.endsWith('…')).toBe(true);
+    const [{ start, end }] = snippet.highlights;
+    expect(snippet.text.slice(start, end)).toBe('invoice');
+  });
+});
+
+describe('SearchIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new SearchIndex();
+    index.addMessage(message('m1', 'conversation1', 'Billing', 'My invoice is wrong'));
+    index.addMessage(message('m2', 'conversation2', 'Login', 'I cannot log in, the invoice page crashes'));
+    index.addMessage(message('m3', 'conversation2', 'Re: Login', 'Any news about the login?'));
+  });
+
+  it('should only return the conversations containing every term', () => {
+    expect(index.search('invoice crashes').map(({ conversationId }) => conversationId)).toEqual(['conversation2']);
+  });
+
+  it('should rank the conversations by term frequency', () => {
+    expect(index.search('login').map(({ conversationId }) => conversationId)).toEqual(['conversation2']);
+    expect(index.search('invoice')).toHaveLength(2);
+  });
+
+  it('should not count a message twice', () => {
+    const [before] = index.search('billing');
+    index.addMessage(message('m1', 'conversation1', 'Billing', 'My invoice is wrong'));
+    const [after] = index.search('billing');
+    expect(after.score).toBe(before.score);
+  });
+
+  it('should forget a removed message', () => {
+    index.removeMessage(message('m2', 'conversation2', 'Login', 'I cannot log in, the invoice page crashes'));
+
+    expect(index.search('crashes')).toEqual([]);
+    expect(index.search('login').map(({ messageIds }) => Array.from(messageIds))).toEqual([['m3']]);
+  });
+
+  it('should return nothing for a text without terms', () => {
+    expect(index.search('  ?! ')).toEqual([]);
+  });
+});
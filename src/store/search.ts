@@ -0,0 +1,168 @@
+import { Message, SearchSnippet } from './utils.types';
+
+//Letters, numbers and the combining marks that belong to them, so "café" in NFD form stays one token
+const tokenPattern = '[\\p{L}\\p{N}\\p{M}]+';
+
+//A match in the subject counts more than a match in a body
+const subjectWeight = 2;
+
+const snippetLength = 120;
+const snippetContextBefore = 30;
+
+export type Token = {
+  //Folded form of the token, the one that is indexed and compared
+  term: string;
+  //Offsets of the token in the original text, used for the highlights
+  start: number;
+  end: number;
+};
+
+type TermStats = {
+  frequency: number;
+  messageIds: Set<string>;
+};
+
+export type SearchMatch = {
+  conversationId: string;
+  score: number;
+  //Messages containing at least one of the searched terms
+  messageIds: Set<string>;
+};
+
+/**
+ * Case and diacritic folding: "Élan" and "elan" are the same term.
+ */
+export function foldText(text: string): string {
+  return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+export function tokenize(text: string): Token[] {
+  const tokens: Token[] = [];
+  //A new expression every time, as a global expression keeps its lastIndex between the calls
+  const expression = new RegExp(tokenPattern, 'gu');
+  let match: RegExpExecArray | null;
+  while ((match = expression.exec(text))) {
+    const term = foldText(match[0]);
+    if (term) {
+      tokens.push({ term, start: match.index, end: match.index + match[0].length });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Cuts a window of the text around the first searched term and returns the highlights relative to that window.
+ */
+export function buildSnippet(text: string, terms: Set<string>): SearchSnippet {
+  const matches = tokenize(text).filter((token) => terms.has(token.term));
+  const firstMatchStart = matches.length > 0 ? matches[0].start : 0;
+
+  const start = Math.max(0, Math.min(firstMatchStart - snippetContextBefore, text.length - snippetLength));
+  const end = Math.min(text.length, start + snippetLength);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+
+  return {
+    text: `${prefix}${text.slice(start, end)}${suffix}`,
+    highlights: matches
+      .filter((token) => token.start >= start && token.end <= end)
+      .map((token) => ({ start: token.start - start + prefix.length, end: token.end - start + prefix.length })),
+  };
+}
+
+/**
+ * Inverted index from the folded terms to the conversations (and messages) they appear in.
+ * It is updated incrementally, message by message, and adding the same message twice has no effect.
+ */
+export class SearchIndex {
+  private postings = new Map<string, Map<string, TermStats>>();
+
+  private indexedMessageIds = new Set<string>();
+
+  private conversationIds = new Set<string>();
+
+  addMessage(message: Message): void {
+    if (this.indexedMessageIds.has(message.id)) {
+      return;
+    }
+    this.indexedMessageIds.add(message.id);
+    this.conversationIds.add(message.conversationId);
+
+    tokenize(message.subject).forEach(({ term }) => this.addTerm(term, message, subjectWeight));
+    tokenize(message.body).forEach(({ term }) => this.addTerm(term, message, 1));
+  }
+
+  //Undoes addMessage, e.g. when a message sent from this client is rolled back
+  removeMessage(message: Message): void {
+    if (!this.indexedMessageIds.delete(message.id)) {
+      return;
+    }
+
+    tokenize(message.subject).forEach(({ term }) => this.removeTerm(term, message, subjectWeight));
+    tokenize(message.body).forEach(({ term }) => this.removeTerm(term, message, 1));
+  }
+
+  /**
+   * Returns the conversations containing every term of the text, the best match first.
+   * The score is a tf-idf: rare terms weigh more than the terms that appear in most conversations.
+   */
+  search(text: string): SearchMatch[] {
+    const terms = Array.from(new Set(tokenize(text).map(({ term }) => term)));
+    if (terms.length === 0) {
+      return [];
+    }
+
+    const matches = new Map<string, SearchMatch>();
+    terms.forEach((term, index) => {
+      const conversations = this.postings.get(term) || new Map<string, TermStats>();
+      const inverseDocumentFrequency = Math.log(1 + this.conversationIds.size / Math.max(1, conversations.size));
+
+      conversations.forEach((stats, conversationId) => {
+        //A conversation has to contain every term, so it can only be added while looking at the first one
+        const match = matches.get(conversationId);
+        if (!match && index > 0) {
+          return;
+        }
+        const current = match || { conversationId, score: 0, messageIds: new Set<string>() };
+        current.score += stats.frequency * inverseDocumentFrequency;
+        stats.messageIds.forEach((messageId) => current.messageIds.add(messageId));
+        matches.set(conversationId, current);
+      });
+
+      //Drop the conversations that do not contain this term
+      matches.forEach((_, conversationId) => {
+        if (!conversations.has(conversationId)) {
+          matches.delete(conversationId);
+        }
+      });
+    });
+
+    return Array.from(matches.values()).sort((a, b) => b.score - a.score);
+  }
+
+  private addTerm(term: string, message: Message, weight: number): void {
+    const conversations = this.postings.get(term) || new Map<string, TermStats>();
+    const stats = conversations.get(message.conversationId) || { frequency: 0, messageIds: new Set<string>() };
+    stats.frequency += weight;
+    stats.messageIds.add(message.id);
+    conversations.set(message.conversationId, stats);
+    this.postings.set(term, conversations);
+  }
+
+  private removeTerm(term: string, message: Message, weight: number): void {
+    const conversations = this.postings.get(term);
+    const stats = conversations?.get(message.conversationId);
+    if (!conversations || !stats) {
+      return;
+    }
+
+    stats.frequency -= weight;
+    stats.messageIds.delete(message.id);
+    if (stats.messageIds.size === 0) {
+      conversations.delete(message.conversationId);
+    }
+    if (conversations.size === 0) {
+      this.postings.delete(term);
+    }
+  }
+}
@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import {
+  computeSla,
+  createSlaTimestamps,
+  recordAssignment,
+  recordInboundMessage,
+  recordResponse,
+  recordUnassignment,
+} from './sla';
+
+const policy = { firstResponseMs: 100, nextResponseMs: 200, atRiskRatio: 0.5 };
+
+describe('computeSla', () => {
+  it('should be ok without any message', () => {
+    const sla = computeSla('conversation1', createSlaTimestamps(), policy, 1000, true);
+
+    expect(sla).toMatchObject({
+      state: 'ok',
+      dueAt: null,
+      timeSinceLastInboundMs: null,
+      isFirstResponseBreached: false,
+    });
+  });
+
+  it('should go from ok to at risk to breached while the first response is awaited', () => {
+    const timestamps = createSlaTimestamps();
+    recordInboundMessage(timestamps, 1000);
+    recordInboundMessage(timestamps, 1010);
+
+    expect(computeSla('conversation1', timestamps, policy, 1020, true)).toMatchObject({
+      state: 'ok',
+      awaitingResponseSince: 1000,
+      dueAt: 1100,
+      timeSinceLastInboundMs: 10,
+    });
+    expect(computeSla('conversation1', timestamps, policy, 1050, true).state).toBe('atRisk');
+    expect(computeSla('conversation1', timestamps, policy, 1099, true)).toMatchObject({
+      state: 'atRisk',
+      isFirstResponseBreached: false,
+    });
+    expect(computeSla('conversation1', timestamps, policy, 1100, true)).toMatchObject({
+      state: 'breached',
+      isFirstResponseBreached: true,
+    });
+  });
+
+  it('should measure the first response and use the next response threshold afterwards', () => {
+    const timestamps = createSlaTimestamps();
+    recordInboundMessage(timestamps, 1000);
+    recordResponse(timestamps, 1040);
+    recordResponse(timestamps, 1060);
+    recordInboundMessage(timestamps, 1500);
+
+    expect(computeSla('conversation1', timestamps, policy, 1550, true)).toMatchObject({
+      state: 'ok',
+      timeToFirstResponseMs: 40,
+      dueAt: 1700,
+      isFirstResponseBreached: false,
+    });
+  });
+
+  it('should not count a response sent before any inbound message', () => {
+    const timestamps = createSlaTimestamps();
+    recordResponse(timestamps, 900);
+    recordInboundMessage(timestamps, 1000);
+
+    expect(computeSla('conversation1', timestamps, policy, 1000, true)).toMatchObject({
+      timeToFirstResponseMs: null,
+      dueAt: 1100,
+    });
+  });
+
+  it('should not breach a conversation that is not active', () => {
+    const timestamps = createSlaTimestamps();
+    recordInboundMessage(timestamps, 1000);
+
+    expect(computeSla('conversation1', timestamps, policy, 5000, false)).toMatchObject({
+      state: 'ok',
+      dueAt: null,
+      awaitingResponseSince: null,
+    });
+  });
+
+  it('should measure the time to the first assignment and keep the current one', () => {
+    const timestamps = createSlaTimestamps();
+    recordInboundMessage(timestamps, 1000);
+    recordAssignment(timestamps, 1030);
+    recordAssignment(timestamps, 1080);
+
+    expect(computeSla('conversation1', timestamps, policy, 1100, true)).toMatchObject({
+      timeToFirstAssignmentMs: 30,
+      assignedAt: 1080,
+    });
+
+    recordUnassignment(timestamps);
+    expect(computeSla('conversation1', timestamps, policy, 1100, true).assignedAt).toBeNull();
+  });
+});
@@ -0,0 +1,114 @@
+import { ConversationSla, SlaPolicy, SlaState } from './utils.types';
+
+const hourMs = 60 * 60 * 1000;
+
+export const defaultSlaPolicy: SlaPolicy = {
+  firstResponseMs: hourMs,
+  nextResponseMs: 4 * hourMs,
+  atRiskRatio: 0.75,
+};
+
+/*The timestamps of a conversation the SLA is computed from, they are updated as the events are applied.
+A message without a user is an inbound message of the customer, a message with a user is the response of an agent */
+export type SlaTimestamps = {
+  firstInboundAt: number | null;
+  lastInboundAt: number | null;
+  firstResponseAt: number | null;
+  //Oldest inbound message that was not answered yet, null when the agents answered everything
+  awaitingResponseSince: number | null;
+  firstAssignedAt: number | null;
+  //Start of the current assignment, null while the conversation is unassigned
+  assignedAt: number | null;
+};
+
+export function createSlaTimestamps(): SlaTimestamps {
+  return {
+    firstInboundAt: null,
+    lastInboundAt: null,
+    firstResponseAt: null,
+    awaitingResponseSince: null,
+    firstAssignedAt: null,
+    assignedAt: null,
+  };
+}
+
+//The events are applied in timestamp order (the event log is replayed for late events), so the first one sets a field
+export function recordInboundMessage(timestamps: SlaTimestamps, timestamp: number): void {
+  timestamps.firstInboundAt = timestamps.firstInboundAt ?? timestamp;
+  timestamps.lastInboundAt = timestamp;
+  timestamps.awaitingResponseSince = timestamps.awaitingResponseSince ?? timestamp;
+}
+
+//A response before any inbound message (a conversation started by an agent) does not answer anything
+export function recordResponse(timestamps: SlaTimestamps, timestamp: number): void {
+  if (timestamps.awaitingResponseSince === null) {
+    return;
+  }
+  timestamps.firstResponseAt = timestamps.firstResponseAt ?? timestamp;
+  timestamps.awaitingResponseSince = null;
+}
+
+//Assigning to another user starts a new assignment
+export function recordAssignment(timestamps: SlaTimestamps, timestamp: number): void {
+  timestamps.firstAssignedAt = timestamps.firstAssignedAt ?? timestamp;
+  timestamps.assignedAt = timestamp;
+}
+
+export function recordUnassignment(timestamps: SlaTimestamps): void {
+  timestamps.assignedAt = null;
+}
+
+/**
+ * Computes the SLA of a conversation at the given time.
+ * A conversation nobody is expected to answer (closed or archived) is never at risk or breached.
+ *
+ * @param conversationId
+ * @param timestamps the timestamps recorded for the conversation
+ * @param policy the SLA thresholds
+ * @param now current time of the store clock
+ * @param isActive false for a closed or archived conversation
+ */
+export function computeSla(
+  conversationId: string,
+  timestamps: SlaTimestamps,
+  policy: SlaPolicy,
+  now: number,
+  isActive: boolean
+): ConversationSla {
+  const { firstInboundAt, lastInboundAt, firstResponseAt, awaitingResponseSince, firstAssignedAt, assignedAt } =
+    timestamps;
+
+  const timeToFirstResponseMs =
+    firstInboundAt !== null && firstResponseAt !== null ? firstResponseAt - firstInboundAt : null;
+  //Still counting while the first response is awaited
+  const firstResponseWaitMs = timeToFirstResponseMs ?? (firstInboundAt !== null ? now - firstInboundAt : 0);
+
+  const sla: ConversationSla = {
+    conversationId,
+    state: SlaState.Ok,
+    timeToFirstResponseMs,
+    timeSinceLastInboundMs: lastInboundAt !== null ? now - lastInboundAt : null,
+    timeToFirstAssignmentMs:
+      firstInboundAt !== null && firstAssignedAt !== null ? Math.max(0, firstAssignedAt - firstInboundAt) : null,
+    assignedAt,
+    awaitingResponseSince: isActive ? awaitingResponseSince : null,
+    dueAt: null,
+    //Same boundary as the state, the SLA is breached from dueAt on
+    isFirstResponseBreached: firstInboundAt !== null && firstResponseWaitMs >= policy.firstResponseMs,
+  };
+
+  if (!isActive || awaitingResponseSince === null) {
+    return sla;
+  }
+
+  //The first response and the next ones have their own thresholds
+  const targetMs = firstResponseAt === null ? policy.firstResponseMs : policy.nextResponseMs;
+  sla.dueAt = awaitingResponseSince + targetMs;
+
+  if (now >= sla.dueAt) {
+    sla.state = SlaState.Breached;
+  } else if (now >= awaitingResponseSince + targetMs * policy.atRiskRatio) {
+    sla.state = SlaState.AtRisk;
+  }
+  return sla;
+}
@@ -0,0 +1,167 @@
+import { getEventKey } from './deduplicator';
+import { SlaTimestamps } from './sla';
+import {
+  AssignmentPeriod,
+  Conversation,
+  ConversationStatus,
+  LoggedEvent,
+  Message,
+  OutgoingCommand,
+} from './utils.types';
+
+/*Version of the snapshot schema written by Store#toSnapshot.
+Increment it whenever the shape changes and add the migration from the previous version below */
+export const snapshotVersion = 9;
+
+/*Version 1 is the first version that was written, the state of the store before the conversations had a status.
+Maps are stored as arrays of entries and Sets as arrays so the snapshot survives JSON.stringify */
+export type StoreSnapshotV1 = Omit<StoreSnapshotV2, 'version' | 'conversations'> & {
+  version: 1;
+  conversations: Omit<Conversation, 'status' | 'snoozedUntil' | 'tags'>[];
+};
+
+//Version 2 is the state of the store before the read positions were tracked
+export type StoreSnapshotV2 = Omit<StoreSnapshotV3, 'version' | 'readPositions'> & { version: 2 };
+
+//Version 3 is the state of the store before the conversations had tags
+export type StoreSnapshotV3 = Omit<StoreSnapshotV4, 'version' | 'conversations'> & {
+  version: 3;
+  conversations: Omit<Conversation, 'tags'>[];
+};
+
+export type StoreSnapshot = {
+  version: typeof snapshotVersion;
+  conversations: Conversation[];
+  //The deduplication keys with the time they were last seen, the oldest first
+  uniqueEvents: [string, number][];
+  typingUsers: [string, string[]][];
+  lastBody: [string, string][];
+  messages: [string, Message[]][];
+  eventLog: [string, LoggedEvent[]][];
+  expiredTypingEvents: string[];
+  //conversationId to the [user, timestamp] entries of the read positions
+  readPositions: [string, [string, number][]][];
+  slaTimestamps: [string, SlaTimestamps][];
+  assignmentHistory: [string, Omit<AssignmentPeriod, 'durationMs'>[]][];
+  //The commands that were not echoed yet or failed, their events are in the event log while they are pending
+  commands: OutgoingCommand[];
+};
+
+//Version 4 is the state of the store before the SLA was tracked
+export type StoreSnapshotV4 = Omit<StoreSnapshotV5, 'version' | 'slaTimestamps'> & { version: 4 };
+
+//Version 5 is the state of the store before the assignment history was kept
+export type StoreSnapshotV5 = Omit<StoreSnapshotV6, 'version' | 'assignmentHistory'> & { version: 5 };
+
+//Version 6 is the state of the store when the events were deduplicated by conversationId and timestamp
+export type StoreSnapshotV6 = Omit<StoreSnapshotV7, 'version' | 'uniqueEvents'> & {
+  version: 6;
+  uniqueEvents: string[];
+};
+
+//Version 8 is the state of the store before the messages had an author
+export type StoreSnapshotV8 = Omit<StoreSnapshot, 'version' | 'messages'> & {
+  version: 8;
+  messages: [string, Omit<Message, 'user'>[]][];
+};
+
+//Version 7 is the state of the store before the commands could be sent
+export type StoreSnapshotV7 = Omit<StoreSnapshotV8, 'version' | 'conversations' | 'commands'> & {
+  version: 7;
+  conversations: Omit<Conversation, 'pendingCommandCount' | 'failedCommandCount'>[];
+};
+
+type AnySnapshot =
+  | StoreSnapshotV1
+  | StoreSnapshotV2
+  | StoreSnapshotV3
+  | StoreSnapshotV4
+  | StoreSnapshotV5
+  | StoreSnapshotV6
+  | StoreSnapshotV7
+  | StoreSnapshotV8
+  | StoreSnapshot;
+
+/*migrations[n] upgrades a snapshot of version n to version n + 1.
+The conversations of a version 1 snapshot are all open, nobody read anything in a version 2 snapshot
+and the conversations of a version 3 snapshot have no tags.
+The SLA of a version 4 snapshot and the assignment history of a version 5 snapshot start with the events received
+after the migration.
+The old deduplication keys of a version 6 snapshot are replaced by the keys of the events in the log,
+they count as seen at the time of the migration.
+Nothing was sent from a version 7 snapshot.
+The author of a message of a version 8 snapshot is the user of its event in the log, the message id is the event id */
+const migrations: Record<number, (snapshot: any) => AnySnapshot> = {
+  1: (snapshot: StoreSnapshotV1): StoreSnapshotV2 => ({
+    ...snapshot,
+    version: 2,
+    conversations: snapshot.conversations.map((conversation) => ({
+      ...conversation,
+      status: ConversationStatus.Open,
+      snoozedUntil: null,
+    })),
+  }),
+  2: (snapshot: StoreSnapshotV2): StoreSnapshotV3 => ({ ...snapshot, version: 3, readPositions: [] }),
+  3: (snapshot: StoreSnapshotV3): StoreSnapshotV4 => ({
+    ...snapshot,
+    version: 4,
+    conversations: snapshot.conversations.map((conversation) => ({ ...conversation, tags: [] })),
+  }),
+  4: (snapshot: StoreSnapshotV4): StoreSnapshotV5 => ({ ...snapshot, version: 5, slaTimestamps: [] }),
+  5: (snapshot: StoreSnapshotV5): StoreSnapshotV6 => ({ ...snapshot, version: 6, assignmentHistory: [] }),
+  6: (snapshot: StoreSnapshotV6): StoreSnapshotV7 => {
+    const seenAt = Date.now();
+    const uniqueEvents: [string, number][] = [];
+    snapshot.eventLog.forEach(([, events]) => {
+      events.forEach(({ event }) => uniqueEvents.push([getEventKey(event), seenAt]));
+    });
+    return { ...snapshot, version: 7, uniqueEvents };
+  },
+  7: (snapshot: StoreSnapshotV7): StoreSnapshotV8 => ({
+    ...snapshot,
+    version: 8,
+    conversations: snapshot.conversations.map((conversation) => ({
+      ...conversation,
+      pendingCommandCount: 0,
+      failedCommandCount: 0,
+    })),
+    commands: [],
+  }),
+  8: (snapshot: StoreSnapshotV8): StoreSnapshot => {
+    const users = new Map<string, string | null>();
+    snapshot.eventLog.forEach(([, events]) => {
+      events.forEach(({ id, event }) => users.set(id, event.data.user || null));
+    });
+    return {
+      ...snapshot,
+      version: 9,
+      messages: snapshot.messages.map(([conversationId, messages]) => [
+        conversationId,
+        messages.map((message) => ({ ...message, user: users.get(message.id) ?? null })),
+      ]),
+    };
+  },
+};
+
+/**
+ * Upgrades a snapshot of any known version to the current version.
+ * Throws for a snapshot without a version or with a version newer than this code knows.
+ */
+export function migrateSnapshot(snapshot: { version?: unknown }): StoreSnapshot {
+  if (!snapshot || typeof snapshot.version !== 'number') {
+    throw new Error('Invalid store snapshot: missing version');
+  }
+  if (snapshot.version > snapshotVersion) {
+    throw new Error(`Unsupported store snapshot version ${snapshot.version}, the latest is ${snapshotVersion}`);
+  }
+
+  let migrated = snapshot as AnySnapshot;
+  while (migrated.version < snapshotVersion) {
+    const migrate = migrations[migrated.version];
+    if (!migrate) {
+      throw new Error(`No migration from store snapshot version ${migrated.version}`);
+    }
+    migrated = migrate(migrated);
+  }
+  return migrated as StoreSnapshot;
+}
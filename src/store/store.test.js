@@ -1,6 +1,10 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { Store } from './store';
+import { ManualClock } from './clock';
+import { getEventKey } from './deduplicator';
+import { snapshotVersion } from './snapshot';
 import { EventType, Conversation } from './utils.types';
+import events from '../socket/events.json';
 
 //This is to test -
 //Event may be received more than once.
@@ -32,7 +36,7 @@ describe('uniqueEvents', () => {
     store.handleEvent(event);
 
     // Verify that the event is added to uniqueEvents
-    expect(store['uniqueEvents'].has('conversation1-1')).toBe(true);
+    expect(store['uniqueEvents'].has(getEventKey(event))).toBe(true);
   });
 
   it('should not process a duplicate event', () => {
@@ -56,7 +60,7 @@ describe('uniqueEvents', () => {
     // Verify that the event is not processed twice
     const conversation = store.getConversations().find((c) => c.id === 'conversation1');
     expect(conversation?.messageCount).toBe(1); // Message count should not increment again
-    expect(console.log).toHaveBeenCalledWith('Event already processed:', 'conversation1-1');
+    expect(console.log).toHaveBeenCalledWith('Event already processed:', getEventKey(event));
   });
 
   it('should remove an event from uniqueEvents if the event type is unknown', () => {
@@ -72,7 +76,7 @@ describe('uniqueEvents', () => {
     store.handleEvent(event);
 
     // Verify that the event is removed from uniqueEvents
-    expect(store['uniqueEvents'].has('conversation1-2')).toBe(false);
+    expect(store['uniqueEvents'].has(getEventKey(event))).toBe(false);
   });
 
   it('should handle multiple unique events correctly', () => {
@@ -103,8 +107,8 @@ describe('uniqueEvents', () => {
     store.handleEvent(event2);
 
     // Verify that both events are added to uniqueEvents
-    expect(store['uniqueEvents'].has('conversation1-3')).toBe(true);
-    expect(store['uniqueEvents'].has('conversation1-4')).toBe(true);
+    expect(store['uniqueEvents'].has(getEventKey(event1))).toBe(true);
+    expect(store['uniqueEvents'].has(getEventKey(event2))).toBe(true);
 
     // Verify that the conversation reflects the most recent event
     const conversation = store.getConversations().find((c) => c.id === 'conversation1');
@@ -217,7 +221,7 @@ describe('handleEvent - Duplicate Events', () => {
     store.handleEvent(event);
 
     // Verify that a log message was generated for the duplicate event
-    expect(console.log).toHaveBeenCalledWith('Event already processed:', 'conversation1-1234567890');
+    expect(console.log).toHaveBeenCalledWith('Event already processed:', getEventKey(event));
   });
 });
 
@@ -351,7 +355,7 @@ describe('handleEvent - Blurb for Most Recent Message', () => {
     );
   });
 
-  it('should truncate the blurb to 256 characters if the message body is too long', () => {
+  it('should truncate the blurb to 256 characters with an ellipsis if the message body is too long', () => {
     const longMessageBody = 'A'.repeat(300); // A message body with 300 characters
     const messageEvent = {
       type: 'messageReceived',
@@ -366,10 +370,10 @@ describe('handleEvent - Blurb for Most Recent Message', () => {
     // Process the message
     store.handleEvent(messageEvent);
 
-    // Verify that the blurb is truncated to 256 characters
+    // Verify that the blurb is truncated to 256 characters, the ellipsis included
     const conversation = store.getConversations().find((c) => c.id === 'conversation1');
     expect(conversation).toBeDefined();
-    expect(conversation?.blurb).toBe(longMessageBody.slice(0, 256));
+    expect(conversation?.blurb).toBe(`${longMessageBody.slice(0, 255)}…`);
   });
 
   it('should not overwrite the blurb if users are typing', () => {
@@ -980,6 +984,11 @@ describe('isConversationEmptyThenRemove', () => {
     blurb: '',
     messageCount: 0,
     lastUpdatedTimestamp: 0,
+    status: 'open',
+    snoozedUntil: null,
+    tags: [],
+    pendingCommandCount: 0,
+    failedCommandCount: 0,
   };
 
   beforeEach(() => {
@@ -1191,3 +1200,1737 @@ describe('Test getConversations', () => {
     expect(result[0].id).toBe('conversation1');
   });
 });
+
+describe('getMessages', () => {
+  let store;
+
+  const messageEvent = (timestamp, body, subject = 'Subject') => ({
+    type: EventType.MessageReceived,
+    data: { timestamp, conversationId: 'conversation1', subject, body },
+  });
+
+  beforeEach(() => {
+    store = new Store();
+  });
+
+  it('should keep every message of a conversation in chronological order', () => {
+    store.handleEvent(messageEvent(1, 'First body', 'First Subject'));
+    store.handleEvent(messageEvent(2, 'Second body', 'Second Subject'));
+
+    const { messages, nextCursor } = store.getMessages('conversation1');
+    expect(messages.map((m) => m.body)).toEqual(['First body', 'Second body']);
+    expect(messages.map((m) => m.subject)).toEqual(['First Subject', 'Second Subject']);
+    expect(messages.map((m) => m.sequence)).toEqual([1, 2]);
+    expect(messages[0].timestamp).toBe(1);
+    expect(nextCursor).toBeNull();
+  });
+
+  it('should paginate from the newest message with the before cursor', () => {
+    for (let timestamp = 1; timestamp <= 5; timestamp++) {
+      store.handleEvent(messageEvent(timestamp, `Body ${timestamp}`));
+    }
+
+    const firstPage = store.getMessages('conversation1', { limit: 2 });
+    expect(firstPage.messages.map((m) => m.body)).toEqual(['Body 4', 'Body 5']);
+    expect(firstPage.nextCursor).toBe(`4:${firstPage.messages[0].id}`);
+
+    const secondPage = store.getMessages('conversation1', { before: firstPage.nextCursor, limit: 2 });
+    expect(secondPage.messages.map((m) => m.body)).toEqual(['Body 2', 'Body 3']);
+
+    const lastPage = store.getMessages('conversation1', { before: secondPage.nextCursor, limit: 2 });
+    expect(lastPage.messages.map((m) => m.body)).toEqual(['Body 1']);
+    expect(lastPage.messages[0].sequence).toBe(1);
+    expect(lastPage.nextCursor).toBeNull();
+  });
+
+  it('should not skip the messages with the same timestamp as the cursor', () => {
+    ['a', 'b', 'c', 'd'].forEach((body, index) => store.handleEvent(messageEvent([1, 2, 2, 3][index], body)));
+
+    const firstPage = store.getMessages('conversation1', { limit: 2 });
+    const secondPage = store.getMessages('conversation1', { before: firstPage.nextCursor, limit: 2 });
+
+    expect(firstPage.messages.map((m) => m.body)).toEqual(['c', 'd']);
+    expect(secondPage.messages.map((m) => m.body)).toEqual(['a', 'b']);
+    expect(secondPage.nextCursor).toBeNull();
+  });
+
+  it('should throw for a cursor that getMessages did not return', () => {
+    expect(() => store.getMessages('conversation1', { before: 'invalid' })).toThrow('Invalid message cursor: invalid');
+  });
+
+  it('should return an empty page for a limit of 0', () => {
+    store.handleEvent(messageEvent(1, 'First body'));
+
+    expect(store.getMessages('conversation1', { limit: 0 })).toEqual({ messages: [], nextCursor: null });
+  });
+
+  it('should return an empty page for an unknown conversation', () => {
+    expect(store.getMessages('unknown')).toEqual({ messages: [], nextCursor: null });
+  });
+
+  it('should derive messageCount and blurb from the history', () => {
+    store.handleEvent(messageEvent(1, 'First body'));
+    store.handleEvent(messageEvent(2, 'Second body'));
+
+    const conversation = store.getConversations().find((c) => c.id === 'conversation1');
+    expect(conversation?.messageCount).toBe(store.getMessages('conversation1').messages.length);
+    expect(conversation?.blurb).toBe('Second body');
+  });
+
+  it('should restore the blurb to the latest message when typing stops', () => {
+    store.handleEvent(messageEvent(1, 'Message body'));
+    store.handleEvent({
+      type: EventType.TypingStarted,
+      data: { timestamp: 2, conversationId: 'conversation1', user: 'user1' },
+    });
+    store.handleEvent({
+      type: EventType.TypingStopped,
+      data: { timestamp: 3, conversationId: 'conversation1', user: 'user1' },
+    });
+
+    const conversation = store.getConversations().find((c) => c.id === 'conversation1');
+    expect(conversation?.blurb).toBe('Message body');
+  });
+});
+
+//This is to test - late events are applied at their position in the event log instead of being dropped
+describe('handleEvent - Late Events', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new Store();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should count a late message without changing the latest subject and blurb', () => {
+    store.handleEvent({
+      type: EventType.MessageReceived,
+      data: { timestamp: 20, conversationId: 'conversation1', subject: 'New Subject', body: 'New Body' },
+    });
+    store.handleEvent({
+      type: EventType.MessageReceived,
+      data: { timestamp: 10, conversationId: 'conversation1', subject: 'Old Subject', body: 'Old Body' },
+    });
+
+    const conversation = store.getConversations().find((c) => c.id === 'conversation1');
+    expect(conversation?.messageCount).toBe(2);
+    expect(conversation?.subject).toBe('New Subject');
+    expect(conversation?.blurb).toBe('New Body');
+    expect(conversation?.lastUpdatedTimestamp).toBe(20);
+    expect(store.getMessages('conversation1').messages.map((m) => m.body)).toEqual(['Old Body', 'New Body']);
+  });
+
+  it('should apply a late assigned event when it is the only assignment', () => {
+    store.handleEvent({
+      type: EventType.MessageReceived,
+      data: { timestamp: 20, conversationId: 'conversation1', subject: 'Subject', body: 'Body' },
+    });
+    store.handleEvent({
+      type: EventType.Assigned,
+      data: { timestamp: 10, conversationId: 'conversation1', user: 'user1' },
+    });
+
+    const conversation = store.getConversations().find((c) => c.id === 'conversation1');
+    expect(conversation?.assignedUser).toBe('user1');
+  });
+
+  it('should not let a late assigned event override a newer unassigned event', () => {
+    store.handleEvent({ type: EventType.Unassigned, data: { timestamp: 20, conversationId: 'conversation1' } });
+    store.handleEvent({
+      type: EventType.Assigned,
+      data: { timestamp: 10, conversationId: 'conversation1', user: 'user1' },
+    });
+
+    const conversation = store.getConversations().find((c) => c.id === 'conversation1');
+    expect(conversation?.assignedUser).toBeNull();
+  });
+
+  it('should reach the same state whatever the order of the events', () => {
+    const expected = new Store();
+    events.forEach((event) => expected.handleEvent(event));
+
+    const reversed = new Store();
+    [...events].reverse().forEach((event) => reversed.handleEvent(event));
+
+    //Every other event first, then the remaining ones
+    const interleaved = new Store();
+    events.filter((_, index) => index % 2 === 1).forEach((event) => interleaved.handleEvent(event));
+    events.filter((_, index) => index % 2 === 0).forEach((event) => interleaved.handleEvent(event));
+
+    expect(reversed.getConversations()).toEqual(expected.getConversations());
+    expect(interleaved.getConversations()).toEqual(expected.getConversations());
+  });
+});
+
+describe('subscribe', () => {
+  let store;
+
+  const messageEvent = (conversationId, timestamp, body) => ({
+    type: EventType.MessageReceived,
+    data: { timestamp, conversationId, subject: 'Subject', body },
+  });
+
+  beforeEach(() => {
+    store = new Store();
+  });
+
+  it('should report a new conversation as added with its index', () => {
+    const listener = vi.fn();
+    store.subscribe(listener);
+
+    store.handleEvent(messageEvent('conversation1', 1, 'Body'));
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    const changeSet = listener.mock.calls[0][0];
+    expect(changeSet.added).toHaveLength(1);
+    expect(changeSet.added[0].index).toBe(0);
+    expect(changeSet.added[0].conversation).toMatchObject({ id: 'conversation1', blurb: 'Body', messageCount: 1 });
+    expect(changeSet.updated).toEqual([]);
+    expect(changeSet.removed).toEqual([]);
+    expect(changeSet.moved).toEqual([]);
+  });
+
+  it('should report only the changed fields of an updated conversation', () => {
+    store.handleEvent(messageEvent('conversation1', 1, 'Body'));
+    const listener = vi.fn();
+    store.subscribe(listener);
+
+    store.handleEvent({
+      type: EventType.Assigned,
+      data: { timestamp: 2, conversationId: 'conversation1', user: 'user1' },
+    });
+
+    expect(listener.mock.calls[0][0].updated).toEqual([
+      { id: 'conversation1', changes: { assignedUser: 'user1', lastUpdatedTimestamp: 2 } },
+    ]);
+  });
+
+  it('should report a conversation assigned to John_Doe as hidden', () => {
+    store.handleEvent(messageEvent('conversation1', 1, 'Body'));
+    const listener = vi.fn();
+    store.subscribe(listener);
+
+    store.handleEvent({
+      type: EventType.Assigned,
+      data: { timestamp: 2, conversationId: 'conversation1', user: 'John_Doe' },
+    });
+
+    expect(listener.mock.calls[0][0].removed).toEqual([{ id: 'conversation1', reason: 'hidden' }]);
+  });
+
+  it('should report a conversation that becomes the most recent one as moved', () => {
+    store.handleEvent(messageEvent('conversation1', 1, 'Body 1'));
+    store.handleEvent(messageEvent('conversation2', 2, 'Body 2'));
+    store.handleEvent(messageEvent('conversation3', 3, 'Body 3'));
+    const listener = vi.fn();
+    store.subscribe(listener);
+
+    store.handleEvent(messageEvent('conversation1', 4, 'Body 4'));
+
+    const changeSet = listener.mock.calls[0][0];
+    expect(changeSet.moved).toEqual([{ id: 'conversation1', from: 2, to: 0 }]);
+    expect(changeSet.updated[0]).toMatchObject({ id: 'conversation1', changes: { blurb: 'Body 4', messageCount: 2 } });
+  });
+
+  it('should notify once with the combined change set for a batch', () => {
+    const listener = vi.fn();
+    store.subscribe(listener);
+
+    store.handleEvents([messageEvent('conversation1', 1, 'Body 1'), messageEvent('conversation2', 2, 'Body 2')]);
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0].added.map(({ conversation }) => conversation.id)).toEqual([
+      'conversation2',
+      'conversation1',
+    ]);
+  });
+
+  it('should not notify when nothing visible changed', () => {
+    store.handleEvent(messageEvent('conversation1', 1, 'Body'));
+    const listener = vi.fn();
+    store.subscribe(listener);
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    store.handleEvent(messageEvent('conversation1', 1, 'Body'));
+
+    expect(listener).not.toHaveBeenCalled();
+    vi.restoreAllMocks();
+  });
+
+  it('should stop notifying after unsubscribing', () => {
+    const listener = vi.fn();
+    const unsubscribe = store.subscribe(listener);
+    unsubscribe();
+
+    store.handleEvent(messageEvent('conversation1', 1, 'Body'));
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
+
+describe('getConversations - Query', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new Store();
+    store.handleEvents([
+      {
+        type: EventType.MessageReceived,
+        data: { timestamp: 10, conversationId: 'conversation1', subject: 'Invoice', body: 'My billing is wrong' },
+      },
+      {
+        type: EventType.MessageReceived,
+        data: { timestamp: 20, conversationId: 'conversation2', subject: 'Login', body: 'I cannot log in' },
+      },
+      {
+        type: EventType.MessageReceived,
+        data: { timestamp: 25, conversationId: 'conversation2', subject: 'Re: Login', body: 'Still broken' },
+      },
+      { type: EventType.Assigned, data: { timestamp: 30, conversationId: 'conversation2', user: 'Jane_Doe' } },
+      {
+        type: EventType.MessageReceived,
+        data: { timestamp: 40, conversationId: 'conversation3', subject: 'Refund', body: 'Please refund me' },
+      },
+      { type: EventType.Assigned, data: { timestamp: 50, conversationId: 'conversation3', user: 'John_Doe' } },
+    ]);
+  });
+
+  const ids = (conversations) => conversations.map((c) => c.id);
+
+  it('should keep excluding John_Doe by default', () => {
+    expect(ids(store.getConversations())).toEqual(['conversation2', 'conversation1']);
+  });
+
+  it('should let the query override the default exclusion', () => {
+    expect(ids(store.getConversations({ excludedAssignees: [] }))).toEqual([
+      'conversation3',
+      'conversation2',
+      'conversation1',
+    ]);
+  });
+
+  it('should let the store options override the blacklisted users', () => {
+    const otherStore = new Store({ blackListedUsers: ['Jane_Doe'] });
+    otherStore.handleEvent({
+      type: EventType.Assigned,
+      data: { timestamp: 1, conversationId: 'conversation1', user: 'Jane_Doe' },
+    });
+    expect(otherStore.getConversations()).toHaveLength(0);
+  });
+
+  it('should filter by assignee, unassigned and mine', () => {
+    expect(ids(store.getConversations({ assignee: 'Jane_Doe' }))).toEqual(['conversation2']);
+    expect(ids(store.getConversations({ assignee: 'unassigned' }))).toEqual(['conversation1']);
+    expect(ids(store.getConversations({ assignee: 'mine', viewer: 'Jane_Doe' }))).toEqual(['conversation2']);
+    expect(() => store.getConversations({ assignee: 'mine' })).toThrow();
+  });
+
+  it('should filter by text in the subject or in any message body', () => {
+    expect(ids(store.getConversations({ text: 'BILLING' }))).toEqual(['conversation1']);
+    expect(ids(store.getConversations({ text: 'cannot log' }))).toEqual(['conversation2']);
+    expect(ids(store.getConversations({ text: 'refund' }))).toEqual([]);
+  });
+
+  it('should filter by updated time range and minimum message count', () => {
+    expect(ids(store.getConversations({ updatedAfter: 10 }))).toEqual(['conversation2']);
+    expect(ids(store.getConversations({ updatedBefore: 30 }))).toEqual(['conversation1']);
+    expect(ids(store.getConversations({ minMessageCount: 2 }))).toEqual(['conversation2']);
+  });
+
+  it('should page with offset and limit', () => {
+    const page = store.queryConversations({ excludedAssignees: [], offset: 1, limit: 1 });
+    expect(ids(page.conversations)).toEqual(['conversation2']);
+    expect(page.total).toBe(3);
+  });
+
+  it('should page with a cursor', () => {
+    const firstPage = store.queryConversations({ excludedAssignees: [], limit: 2 });
+    expect(ids(firstPage.conversations)).toEqual(['conversation3', 'conversation2']);
+    expect(firstPage.nextCursor).not.toBeNull();
+
+    const secondPage = store.queryConversations({ excludedAssignees: [], limit: 2, cursor: firstPage.nextCursor });
+    expect(ids(secondPage.conversations)).toEqual(['conversation1']);
+    expect(secondPage.nextCursor).toBeNull();
+  });
+
+  it('should throw for an invalid cursor', () => {
+    expect(() => store.getConversations({ cursor: 'invalid' })).toThrow('Invalid conversation cursor: invalid');
+  });
+});
+
+describe('search', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new Store();
+    store.handleEvents([
+      {
+        type: EventType.MessageReceived,
+        data: { timestamp: 10, conversationId: 'conversation1', subject: 'Facture', body: 'Le reçu est erroné' },
+      },
+      {
+        type: EventType.MessageReceived,
+        data: { timestamp: 20, conversationId: 'conversation2', subject: 'Receipt', body: 'Where is my recu?' },
+      },
+      {
+        type: EventType.MessageReceived,
+        data: { timestamp: 30, conversationId: 'conversation3', subject: 'Hidden', body: 'Another recu' },
+      },
+      { type: EventType.Assigned, data: { timestamp: 40, conversationId: 'conversation3', user: 'John_Doe' } },
+    ]);
+  });
+
+  it('should find conversations by any message body with case and diacritic folding', () => {
+    const results = store.search('RECU');
+    expect(results.map(({ conversationId }) => conversationId).sort()).toEqual(['conversation1', 'conversation2']);
+  });
+
+  it('should return a highlighted snippet from the matching message', () => {
+    const [result] = store.search('erroné');
+    expect(result.conversationId).toBe('conversation1');
+    const [{ start, end }] = result.snippet.highlights;
+    expect(result.snippet.text.slice(start, end)).toBe('erroné');
+  });
+
+  it('should respect the visibility rules of getConversations', () => {
+    expect(store.search('another')).toEqual([]);
+    expect(store.search('another', { excludedAssignees: [] })).toHaveLength(1);
+  });
+
+  it('should find a message that arrived late', () => {
+    store.handleEvent({
+      type: EventType.MessageReceived,
+      data: { timestamp: 5, conversationId: 'conversation2', subject: 'Receipt', body: 'First message about shipping' },
+    });
+    expect(store.search('shipping').map(({ conversationId }) => conversationId)).toEqual(['conversation2']);
+  });
+});
+
+describe('Typing indicator expiry', () => {
+  let store;
+
+  const typingStarted = (timestamp, user) => ({
+    type: EventType.TypingStarted,
+    data: { timestamp, conversationId: 'conversation1', user },
+  });
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    store = new Store({ typingTtlMs: 1000 });
+    store.handleEvent({
+      type: EventType.MessageReceived,
+      data: { timestamp: 1, conversationId: 'conversation1', subject: 'Subject', body: 'Message body' },
+    });
+  });
+
+  afterEach(() => {
+    store.dispose();
+    vi.useRealTimers();
+  });
+
+  const blurb = () => store.getConversations().find((c) => c.id === 'conversation1')?.blurb;
+
+  it('should fall back to the latest message body when the indicator expires', () => {
+    store.handleEvent(typingStarted(2, 'user1'));
+    expect(blurb()).toBe('user1 is replying...');
+
+    vi.advanceTimersByTime(1000);
+    expect(blurb()).toBe('Message body');
+  });
+
+  it('should list the typing users until their indicator expires', () => {
+    store.handleEvent(typingStarted(2, 'user1'));
+    store.handleEvent(typingStarted(3, 'user2'));
+    expect(store.getTypingUsers('conversation1')).toEqual(['user1', 'user2']);
+
+    vi.advanceTimersByTime(1000);
+    expect(store.getTypingUsers('conversation1')).toEqual([]);
+  });
+
+  it('should restart the expiry on a new typingStarted of the same user', () => {
+    store.handleEvent(typingStarted(2, 'user1'));
+    vi.advanceTimersByTime(600);
+    store.handleEvent(typingStarted(3, 'user1'));
+    vi.advanceTimersByTime(600);
+    expect(blurb()).toBe('user1 is replying...');
+
+    vi.advanceTimersByTime(400);
+    expect(blurb()).toBe('Message body');
+  });
+
+  it('should expire every user on its own', () => {
+    store.handleEvent(typingStarted(2, 'user1'));
+    vi.advanceTimersByTime(500);
+    store.handleEvent(typingStarted(3, 'user2'));
+    expect(blurb()).toBe('user1, user2 are replying...');
+
+    vi.advanceTimersByTime(500);
+    expect(blurb()).toBe('user2 is replying...');
+  });
+
+  it('should notify the subscribers when the last indicator expires', () => {
+    store.handleEvent(typingStarted(2, 'user1'));
+    const listener = vi.fn();
+    store.subscribe(listener);
+
+    vi.advanceTimersByTime(1000);
+
+    expect(listener).toHaveBeenCalledWith(
+      expect.objectContaining({ updated: [{ id: 'conversation1', changes: { blurb: 'Message body' } }] })
+    );
+  });
+
+  it('should clear the indicator of a user who sends a message', () => {
+    store.handleEvent(typingStarted(2, 'user1'));
+    store.handleEvent(typingStarted(3, 'user2'));
+    store.handleEvent({
+      type: EventType.MessageReceived,
+      data: { timestamp: 4, conversationId: 'conversation1', user: 'user1', subject: 'Subject', body: 'Reply' },
+    });
+
+    expect(blurb()).toBe('user2 is replying...');
+  });
+
+  it('should not bring an expired indicator back when a late event is replayed', () => {
+    store.handleEvent(typingStarted(3, 'user1'));
+    vi.advanceTimersByTime(1000);
+
+    store.handleEvent({ type: EventType.Unassigned, data: { timestamp: 2, conversationId: 'conversation1' } });
+
+    expect(blurb()).toBe('Message body');
+  });
+
+  it('should keep the message blurb when typingStopped is received after the indicator expired', () => {
+    store.handleEvent(typingStarted(2, 'user1'));
+    vi.advanceTimersByTime(1000);
+
+    store.handleEvent({
+      type: EventType.TypingStopped,
+      data: { timestamp: 4, conversationId: 'conversation1', user: 'user1' },
+    });
+    expect(blurb()).toBe('Message body');
+
+    //A late event replays the log, typingStopped included
+    store.handleEvent({ type: EventType.Unassigned, data: { timestamp: 3, conversationId: 'conversation1' } });
+    expect(blurb()).toBe('Message body');
+  });
+
+  it('should keep the indicator when the expiry is disabled', () => {
+    const storeWithoutExpiry = new Store({ typingTtlMs: null });
+    storeWithoutExpiry.handleEvent(typingStarted(2, 'user1'));
+
+    vi.advanceTimersByTime(60000);
+
+    expect(storeWithoutExpiry.getConversations()[0].blurb).toBe('user1 is replying...');
+  });
+});
+
+describe('Snapshots', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should restore the same conversations, history and search index from a JSON snapshot', () => {
+    const store = new Store();
+    store.handleEvents(events);
+
+    const restored = Store.fromSnapshot(JSON.parse(JSON.stringify(store.toSnapshot())));
+
+    expect(restored.getConversations()).toEqual(store.getConversations());
+    expect(restored.getMessages('c3baea01')).toEqual(store.getMessages('c3baea01'));
+    expect(restored.search('tempora')).toEqual(store.search('tempora'));
+    store.dispose();
+    restored.dispose();
+  });
+
+  it('should keep deduplicating the events of the snapshot', () => {
+    const store = new Store();
+    store.handleEvents(events);
+    const restored = Store.fromSnapshot(store.toSnapshot());
+
+    restored.handleEvents(events);
+
+    expect(restored.getConversations()).toEqual(store.getConversations());
+    store.dispose();
+    restored.dispose();
+  });
+
+  it('should restore the typing state and the body behind it', () => {
+    vi.useFakeTimers();
+    const store = new Store({ typingTtlMs: 1000 });
+    store.handleEvents([
+      {
+        type: EventType.MessageReceived,
+        data: { timestamp: 1, conversationId: 'conversation1', subject: 'Subject', body: 'Message body' },
+      },
+      { type: EventType.TypingStarted, data: { timestamp: 2, conversationId: 'conversation1', user: 'user1' } },
+    ]);
+
+    const restored = Store.fromSnapshot(store.toSnapshot(), { typingTtlMs: 1000 });
+    expect(restored.getConversations()[0].blurb).toBe('user1 is replying...');
+
+    vi.advanceTimersByTime(1000);
+    expect(restored.getConversations()[0].blurb).toBe('Message body');
+    store.dispose();
+    vi.useRealTimers();
+  });
+
+  it('should migrate a version 1 snapshot to the same conversations and history', () => {
+    const store = new Store();
+    store.handleEvents([
+      { type: EventType.MessageReceived, data: { timestamp: 1, conversationId: 'conversation1', body: 'Question' } },
+      {
+        type: EventType.MessageReceived,
+        data: { timestamp: 2, conversationId: 'conversation1', body: 'Answer', user: 'Ann' },
+      },
+    ]);
+    const { readPositions, slaTimestamps, assignmentHistory, commands, ...snapshot } = store.toSnapshot();
+    const previous = {
+      ...snapshot,
+      version: 1,
+      conversations: snapshot.conversations.map(
+        ({ status, snoozedUntil, tags, pendingCommandCount, failedCommandCount, ...conversation }) => conversation
+      ),
+      uniqueEvents: snapshot.uniqueEvents.map(([key]) => key),
+      messages: snapshot.messages.map(([id, messages]) => [id, messages.map(({ user, ...message }) => message)]),
+    };
+
+    const restored = Store.fromSnapshot(previous);
+    restored.handleEvent({
+      type: EventType.MessageReceived,
+      data: { timestamp: 3, conversationId: 'conversation1', body: 'Thanks' },
+    });
+
+    expect(restored.getConversations()[0]).toMatchObject({ status: 'open', tags: [], messageCount: 3 });
+    expect(restored.getMessages('conversation1').messages.map(({ user }) => user)).toEqual([null, 'Ann', null]);
+  });
+
+  it('should find the author of the messages of a version 8 snapshot in the event log', () => {
+    const store = new Store();
+    store.handleEvents([
+      { type: EventType.MessageReceived, data: { timestamp: 1, conversationId: 'conversation1', body: 'Question' } },
+      {
+        type: EventType.MessageReceived,
+        data: { timestamp: 2, conversationId: 'conversation1', body: 'Answer', user: 'Ann' },
+      },
+    ]);
+    const snapshot = store.toSnapshot();
+    const previous = {
+      ...snapshot,
+      version: 8,
+      messages: snapshot.messages.map(([id, messages]) => [id, messages.map(({ user, ...message }) => message)]),
+    };
+
+    const restored = Store.fromSnapshot(previous);
+
+    expect(restored.getMessages('conversation1').messages.map(({ user }) => user)).toEqual([null, 'Ann']);
+  });
+
+  it('should reject a snapshot of an unknown version', () => {
+    expect(() => Store.fromSnapshot({ version: 99 })).toThrow('Unsupported store snapshot version 99');
+    expect(() => Store.fromSnapshot({})).toThrow('Invalid store snapshot: missing version');
+  });
+});
+
+describe('reset', () => {
+  it('should rebuild the state from the given events and notify once', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const store = new Store();
+    store.handleEvents(events);
+    const listener = vi.fn();
+    store.subscribe(listener);
+
+    const expected = new Store();
+    expected.handleEvents(events.slice(0, 10));
+    store.reset(events.slice(0, 10));
+
+    expect(store.getConversations()).toEqual(expected.getConversations());
+    expect(store.getMessages('c3baea01')).toEqual(expected.getMessages('c3baea01'));
+    expect(listener).toHaveBeenCalledTimes(1);
+    store.dispose();
+    expected.dispose();
+    vi.restoreAllMocks();
+  });
+
+  it('should count the rejected and duplicate events of the given events only', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const store = new Store();
+    store.handleEvents(events);
+    const rejectedEventCount = store.getRejectedEventCount();
+    const duplicateEventCount = store.getDuplicateEventCount();
+
+    store.reset([...events, events[0]]);
+    store.reset([...events, events[0]]);
+
+    expect(store.getRejectedEventCount()).toBe(rejectedEventCount);
+    expect(store.getDuplicateEventCount()).toBe(duplicateEventCount + 1);
+    store.dispose();
+    vi.restoreAllMocks();
+  });
+});
+
+describe('Schema validation and dead letters', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new Store();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should reject an assigned event without a user', () => {
+    const event = { type: EventType.Assigned, data: { timestamp: 1, conversationId: 'conversation1' } };
+
+    store.handleEvent(event);
+
+    expect(store.getConversations()).toHaveLength(0);
+    expect(store.getDeadLetters()).toEqual([
+      expect.objectContaining({ event, reason: 'MISSING_FIELD', field: 'user', attempts: 1 }),
+    ]);
+    expect(console.warn).toHaveBeenCalledWith('Event is missing a user:', event);
+  });
+
+  it('should reject fields of the wrong type', () => {
+    store.handleEvent({
+      type: EventType.MessageReceived,
+      data: { timestamp: 1, conversationId: 'conversation1', subject: 'Subject', body: { html: '<p>Hi</p>' } },
+    });
+    store.handleEvent({ type: EventType.Unassigned, data: { timestamp: '2', conversationId: 'conversation1' } });
+    store.handleEvent({
+      type: EventType.TypingStarted,
+      data: { timestamp: 3, conversationId: 'conversation1', user: 42 },
+    });
+
+    expect(store.getConversations()).toHaveLength(0);
+    expect(store.getDeadLetters().map(({ reason, field }) => [reason, field])).toEqual([
+      ['INVALID_FIELD_TYPE', 'body'],
+      ['INVALID_FIELD_TYPE', 'timestamp'],
+      ['INVALID_FIELD_TYPE', 'user'],
+    ]);
+  });
+
+  it('should reject something that is not an event', () => {
+    store.handleEvent(null);
+    store.handleEvent({ type: EventType.Unassigned });
+
+    expect(store.getRejectedEventCount()).toBe(2);
+    expect(store.getDeadLetters()[0].reason).toBe('INVALID_EVENT');
+  });
+
+  it('should keep the unknown event types in the queue', () => {
+    store.handleEvent({ type: 'test', data: { timestamp: 1, conversationId: 'conversation1' } });
+
+    expect(store.getDeadLetters()[0]).toMatchObject({ reason: 'UNKNOWN_EVENT_TYPE' });
+  });
+
+  it('should accept a message without a body', () => {
+    store.handleEvent({ type: EventType.MessageReceived, data: { timestamp: 1, conversationId: 'conversation1' } });
+
+    expect(store.getRejectedEventCount()).toBe(0);
+    expect(store.getConversations()[0].messageCount).toBe(1);
+  });
+
+  it('should retry the dead letters and keep the ones still rejected', () => {
+    store.handleEvent({ type: EventType.Assigned, data: { timestamp: 1, conversationId: 'conversation1' } });
+    const unknownEvent = { type: 'test', data: { timestamp: 2, conversationId: 'conversation1' } };
+    store.handleEvent(unknownEvent);
+
+    //Fixing the event in place is what a retry after a manual correction looks like
+    store.getDeadLetters()[0].event.data.user = 'user1';
+    const listener = vi.fn();
+    store.subscribe(listener);
+
+    expect(store.retryDeadLetters()).toEqual({ accepted: 1, rejected: 1 });
+    expect(store.getConversations()[0].assignedUser).toBe('user1');
+    expect(store.getDeadLetters()).toEqual([expect.objectContaining({ event: unknownEvent, attempts: 2 })]);
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('should only retry the entries matching the predicate', () => {
+    store.handleEvent({ type: EventType.Assigned, data: { timestamp: 1, conversationId: 'conversation1' } });
+    store.handleEvent({ type: 'test', data: { timestamp: 2, conversationId: 'conversation1' } });
+
+    store.retryDeadLetters(({ reason }) => reason === 'UNKNOWN_EVENT_TYPE');
+
+    expect(store.getDeadLetters().map(({ attempts }) => attempts)).toEqual([1, 2]);
+  });
+
+  it('should drain the queue', () => {
+    store.handleEvent({ type: 'test', data: { timestamp: 1, conversationId: 'conversation1' } });
+
+    expect(store.drainDeadLetters()).toHaveLength(1);
+    expect(store.getRejectedEventCount()).toBe(0);
+  });
+});
+
+describe('Store event handlers', () => {
+  let store;
+
+  //Counts the test events, the field is added to the conversation by the reducer
+  const countTestEvents = (conversation) => {
+    conversation.testCount = (conversation.testCount || 0) + 1;
+  };
+
+  beforeEach(() => {
+    store = new Store();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should apply the events of a registered type', () => {
+    store.registerEventHandler('test', countTestEvents);
+
+    store.handleEvent({ type: 'test', data: { timestamp: 1, conversationId: 'conversation1' } });
+    store.handleEvent({ type: 'test', data: { timestamp: 2, conversationId: 'conversation1' } });
+
+    expect(store.getConversations()[0]).toMatchObject({ testCount: 2, lastUpdatedTimestamp: 2 });
+    expect(store.getRejectedEventCount()).toBe(0);
+  });
+
+  it('should deduplicate the events of a registered type', () => {
+    store.registerEventHandler('test', countTestEvents);
+    const event = { type: 'test', data: { timestamp: 1, conversationId: 'conversation1' } };
+
+    store.handleEvent(event);
+    store.handleEvent(event);
+
+    expect(store.getConversations()[0].testCount).toBe(1);
+  });
+
+  it('should replay the events of a registered type in order after a late event', () => {
+    const setPriority = (conversation, event) => {
+      conversation.priority = event.data.priority;
+    };
+    store.registerEventHandler('priorityChanged', setPriority, { priority: { type: 'string', required: true } });
+
+    store.handleEvent({ type: 'priorityChanged', data: { timestamp: 2, conversationId: 'c1', priority: 'high' } });
+    store.handleEvent({ type: 'priorityChanged', data: { timestamp: 1, conversationId: 'c1', priority: 'low' } });
+
+    expect(store.getConversations()[0].priority).toBe('high');
+  });
+
+  it('should validate the events of a registered type against its schema', () => {
+    store.registerEventHandler('priorityChanged', () => {}, { priority: { type: 'string', required: true } });
+
+    store.handleEvent({ type: 'priorityChanged', data: { timestamp: 1, conversationId: 'c1' } });
+    store.handleEvent({ type: 'priorityChanged', data: { conversationId: 'c1', priority: 'high' } });
+
+    expect(store.getDeadLetters().map(({ field }) => field)).toEqual(['priority', 'timestamp']);
+    expect(store.getConversations()).toEqual([]);
+  });
+
+  it('should notify the subscribers of the changes made by a registered type', () => {
+    store.registerEventHandler('test', countTestEvents);
+    const listener = vi.fn();
+    store.subscribe(listener);
+
+    store.handleEvent({ type: 'test', data: { timestamp: 1, conversationId: 'conversation1' } });
+    store.handleEvent({ type: 'test', data: { timestamp: 2, conversationId: 'conversation1' } });
+
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(listener.mock.calls[1][0].updated).toEqual([
+      { id: 'conversation1', changes: { testCount: 2, lastUpdatedTimestamp: 2 } },
+    ]);
+  });
+
+  it('should accept the dead letters of a type registered afterwards', () => {
+    store.handleEvent({ type: 'test', data: { timestamp: 1, conversationId: 'conversation1' } });
+    store.registerEventHandler('test', countTestEvents);
+
+    expect(store.retryDeadLetters()).toEqual({ accepted: 1, rejected: 0 });
+    expect(store.getConversations()[0].testCount).toBe(1);
+  });
+
+  it('should reject the events of a type again once unregistered', () => {
+    const unregister = store.registerEventHandler('test', countTestEvents);
+    unregister();
+
+    store.handleEvent({ type: 'test', data: { timestamp: 1, conversationId: 'conversation1' } });
+
+    expect(store.getDeadLetters()[0].reason).toBe('UNKNOWN_EVENT_TYPE');
+  });
+
+  it('should not replace a built-in or an already registered type', () => {
+    store.registerEventHandler('test', countTestEvents);
+
+    expect(() => store.registerEventHandler(EventType.Assigned, countTestEvents)).toThrow('built-in');
+    expect(() => store.registerEventHandler('test', countTestEvents)).toThrow('already registered');
+  });
+});
+
+describe('Conversation status', () => {
+  let store;
+
+  const message = (conversationId, timestamp) => ({
+    type: EventType.MessageReceived,
+    data: { conversationId, timestamp, subject: 'Subject', body: 'Body' },
+  });
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(1000);
+    store = new Store();
+    store.handleEvents([message('conversation1', 1), message('conversation2', 2)]);
+  });
+
+  afterEach(() => {
+    store.dispose();
+    vi.useRealTimers();
+  });
+
+  it('should open new conversations', () => {
+    expect(store.getConversations()[0]).toMatchObject({ status: 'open', snoozedUntil: null });
+  });
+
+  it('should hide the closed and archived conversations by default', () => {
+    store.handleEvent({ type: EventType.ConversationClosed, data: { conversationId: 'conversation1', timestamp: 3 } });
+    store.handleEvent({
+      type: EventType.ConversationArchived,
+      data: { conversationId: 'conversation2', timestamp: 4 },
+    });
+
+    expect(store.getConversations()).toEqual([]);
+    expect(store.getConversations({ status: 'closed' }).map(({ id }) => id)).toEqual(['conversation1']);
+    expect(store.getConversations({ status: ['closed', 'archived'] }).map(({ id }) => id)).toEqual([
+      'conversation2',
+      'conversation1',
+    ]);
+  });
+
+  it('should reopen a closed conversation', () => {
+    const data = { conversationId: 'conversation1' };
+    store.handleEvent({ type: EventType.ConversationClosed, data: { ...data, timestamp: 3 } });
+    store.handleEvent({ type: EventType.ConversationReopened, data: { ...data, timestamp: 4 } });
+
+    expect(store.getConversations()[0]).toMatchObject({ id: 'conversation1', status: 'open' });
+  });
+
+  it('should keep the status of the latest event when the events arrive out of order', () => {
+    const data = { conversationId: 'conversation1' };
+    store.handleEvent({ type: EventType.ConversationReopened, data: { ...data, timestamp: 4 } });
+    store.handleEvent({ type: EventType.ConversationClosed, data: { ...data, timestamp: 3 } });
+
+    expect(store.getConversations().map(({ id }) => id)).toEqual(['conversation1', 'conversation2']);
+  });
+
+  it('should open a snoozed conversation again when the snooze ends', () => {
+    const listener = vi.fn();
+    store.subscribe(listener);
+
+    store.handleEvent({
+      type: EventType.ConversationSnoozed,
+      data: { conversationId: 'conversation1', timestamp: 3, until: 6000 },
+    });
+    expect(store.getConversations({ status: 'snoozed' })[0]).toMatchObject({
+      id: 'conversation1',
+      snoozedUntil: 6000,
+    });
+    expect(store.getConversations().map(({ id }) => id)).toEqual(['conversation2']);
+
+    vi.advanceTimersByTime(4999);
+    expect(store.getConversations()).toHaveLength(1);
+    vi.advanceTimersByTime(1);
+
+    expect(store.getConversations()[0]).toMatchObject({ id: 'conversation1', status: 'open', snoozedUntil: null });
+    expect(listener).toHaveBeenLastCalledWith(
+      expect.objectContaining({ added: [expect.objectContaining({ index: 0 })] })
+    );
+  });
+
+  it('should not snooze a conversation until a time that has passed', () => {
+    store.handleEvent({
+      type: EventType.ConversationSnoozed,
+      data: { conversationId: 'conversation1', timestamp: 3, until: 500 },
+    });
+
+    expect(store.getConversations()).toHaveLength(2);
+  });
+
+  it('should cancel the snooze when the conversation is closed', () => {
+    store.handleEvent({
+      type: EventType.ConversationSnoozed,
+      data: { conversationId: 'conversation1', timestamp: 3, until: 6000 },
+    });
+    store.handleEvent({ type: EventType.ConversationClosed, data: { conversationId: 'conversation1', timestamp: 4 } });
+
+    vi.advanceTimersByTime(10000);
+    expect(store.getConversations({ status: 'closed' })).toHaveLength(1);
+  });
+
+  it('should reject a snooze without an end', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    store.handleEvent({ type: EventType.ConversationSnoozed, data: { conversationId: 'conversation1', timestamp: 3 } });
+
+    expect(store.getDeadLetters()[0]).toMatchObject({ reason: 'MISSING_FIELD', field: 'until' });
+    vi.restoreAllMocks();
+  });
+
+  it('should end a snooze that ended while the store was saved', () => {
+    store.handleEvent({
+      type: EventType.ConversationSnoozed,
+      data: { conversationId: 'conversation1', timestamp: 3, until: 6000 },
+    });
+    const snapshot = store.toSnapshot();
+
+    vi.setSystemTime(7000);
+    const restored = Store.fromSnapshot(snapshot);
+
+    expect(restored.getConversations()).toHaveLength(2);
+    restored.dispose();
+  });
+});
+
+describe('Read tracking', () => {
+  let store;
+
+  const message = (conversationId, timestamp) => ({
+    type: EventType.MessageReceived,
+    data: { conversationId, timestamp, subject: 'Subject', body: `Body ${timestamp}` },
+  });
+  const read = (conversationId, timestamp, user, upTo) => ({
+    type: EventType.ConversationRead,
+    data: { conversationId, timestamp, user, upTo },
+  });
+
+  beforeEach(() => {
+    store = new Store();
+    store.handleEvents([message('conversation1', 1), message('conversation1', 2), message('conversation2', 3)]);
+  });
+
+  it('should count every message as unread for a user who never read the conversation', () => {
+    expect(store.getUnreadCount('conversation1', 'user1')).toBe(2);
+    expect(store.getUnreadCount('unknown', 'user1')).toBe(0);
+  });
+
+  it('should not list a conversation that only received read markers and tags', () => {
+    store.handleEvent(read('conversation3', 4, 'user1', 5));
+    store.handleEvent({ type: EventType.TagAdded, data: { conversationId: 'conversation3', timestamp: 4, tag: 'vip' } });
+    expect(store.getConversations().map(({ id }) => id)).toEqual(['conversation2', 'conversation1']);
+
+    store.handleEvent(message('conversation3', 5));
+    expect(store.getConversations()[0]).toMatchObject({ id: 'conversation3', tags: ['vip'] });
+    expect(store.getUnreadCount('conversation3', 'user1')).toBe(0);
+  });
+
+  it('should count the messages newer than the read position of the user', () => {
+    store.handleEvent(read('conversation1', 4, 'user1', 1));
+
+    expect(store.getUnreadCount('conversation1', 'user1')).toBe(1);
+    expect(store.getUnreadCount('conversation1', 'user2')).toBe(2);
+
+    store.handleEvent(message('conversation1', 5));
+    expect(store.getUnreadCount('conversation1', 'user1')).toBe(2);
+  });
+
+  it('should keep the furthest read position whatever the order of the events', () => {
+    store.handleEvent(read('conversation1', 5, 'user1', 2));
+    store.handleEvent(read('conversation1', 4, 'user1', 1));
+
+    expect(store.getUnreadCount('conversation1', 'user1')).toBe(0);
+  });
+
+  it('should count a message that arrives late before the read position as read', () => {
+    store.handleEvent(read('conversation1', 4, 'user1', 2));
+    store.handleEvent(message('conversation1', 1.5));
+
+    expect(store.getUnreadCount('conversation1', 'user1')).toBe(0);
+  });
+
+  it('should not move a conversation to the top of the list when it is read', () => {
+    store.handleEvent(read('conversation1', 4, 'user1', 2));
+
+    expect(store.getConversations().map(({ id }) => id)).toEqual(['conversation2', 'conversation1']);
+  });
+
+  it('should sort the unread conversations first', () => {
+    store.handleEvent(read('conversation2', 4, 'user1', 3));
+    const query = { viewer: 'user1', sort: 'unreadFirst' };
+
+    expect(store.getConversations(query).map(({ id }) => id)).toEqual(['conversation1', 'conversation2']);
+    expect(() => store.getConversations({ sort: 'unreadFirst' })).toThrow('needs the viewer');
+  });
+
+  it('should page through the conversations sorted unread first', () => {
+    store.handleEvent(read('conversation2', 4, 'user1', 3));
+    const query = { viewer: 'user1', sort: 'unreadFirst', limit: 1 };
+
+    const firstPage = store.queryConversations(query);
+    const secondPage = store.queryConversations({ ...query, cursor: firstPage.nextCursor });
+
+    expect(firstPage.nextCursor).toBe('unread:2:conversation1');
+    expect(secondPage.conversations.map(({ id }) => id)).toEqual(['conversation2']);
+    expect(secondPage.nextCursor).toBeNull();
+  });
+
+  it('should reject a read event without a user or a position', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    store.handleEvent({ type: EventType.ConversationRead, data: { conversationId: 'conversation1', timestamp: 4 } });
+
+    expect(store.getDeadLetters().map(({ field }) => field)).toEqual(['user']);
+    vi.restoreAllMocks();
+  });
+
+  it('should keep the read positions in the snapshot', () => {
+    store.handleEvent(read('conversation1', 4, 'user1', 1));
+
+    const restored = Store.fromSnapshot(JSON.parse(JSON.stringify(store.toSnapshot())));
+
+    expect(restored.getUnreadCount('conversation1', 'user1')).toBe(1);
+  });
+});
+
+describe('Tags', () => {
+  let store;
+
+  const tagEvent = (type, conversationId, timestamp, tag) => ({ type, data: { conversationId, timestamp, tag } });
+  const message = (conversationId, timestamp) => ({
+    type: EventType.MessageReceived,
+    data: { conversationId, timestamp, subject: 'Subject', body: 'Body' },
+  });
+
+  beforeEach(() => {
+    store = new Store();
+    store.handleEvents([message('conversation1', 1), message('conversation2', 2)]);
+  });
+
+  const getConversation = (conversationId) => store.getConversations().find(({ id }) => id === conversationId);
+
+  it('should add the tags in alphabetical order', () => {
+    store.handleEvent(tagEvent(EventType.TagAdded, 'conversation1', 3, 'bug'));
+    store.handleEvent(tagEvent(EventType.TagAdded, 'conversation1', 4, 'billing'));
+
+    expect(getConversation('conversation1').tags).toEqual(['billing', 'bug']);
+  });
+
+  it('should add a tag only once', () => {
+    store.handleEvent(tagEvent(EventType.TagAdded, 'conversation1', 3, 'bug'));
+    store.handleEvent(tagEvent(EventType.TagAdded, 'conversation1', 4, 'bug'));
+    store.handleEvent(tagEvent(EventType.TagAdded, 'conversation1', 4, 'bug'));
+
+    expect(getConversation('conversation1').tags).toEqual(['bug']);
+  });
+
+  it('should remove a tag', () => {
+    store.handleEvent(tagEvent(EventType.TagAdded, 'conversation1', 3, 'bug'));
+    store.handleEvent(tagEvent(EventType.TagRemoved, 'conversation1', 4, 'bug'));
+    store.handleEvent(tagEvent(EventType.TagRemoved, 'conversation1', 5, 'unknown'));
+
+    expect(getConversation('conversation1').tags).toEqual([]);
+  });
+
+  it('should apply the latest tag event when the events arrive out of order', () => {
+    store.handleEvent(tagEvent(EventType.TagRemoved, 'conversation1', 4, 'bug'));
+    store.handleEvent(tagEvent(EventType.TagAdded, 'conversation1', 3, 'bug'));
+    store.handleEvent(tagEvent(EventType.TagRemoved, 'conversation2', 3, 'bug'));
+    store.handleEvent(tagEvent(EventType.TagAdded, 'conversation2', 4, 'bug'));
+
+    expect(store.getConversations({ tags: ['bug'] }).map(({ id }) => id)).toEqual(['conversation2']);
+  });
+
+  it('should filter the conversations having every tag of the query', () => {
+    store.handleEvent(tagEvent(EventType.TagAdded, 'conversation1', 3, 'bug'));
+    store.handleEvent(tagEvent(EventType.TagAdded, 'conversation1', 4, 'billing'));
+    store.handleEvent(tagEvent(EventType.TagAdded, 'conversation2', 5, 'bug'));
+
+    expect(store.queryConversations({ tags: ['bug'] }).total).toBe(2);
+    expect(store.getConversations({ tags: ['bug', 'billing'] }).map(({ id }) => id)).toEqual(['conversation1']);
+  });
+
+  it('should count the visible conversations of every tag', () => {
+    store.handleEvent(tagEvent(EventType.TagAdded, 'conversation1', 3, 'bug'));
+    store.handleEvent(tagEvent(EventType.TagAdded, 'conversation1', 4, 'billing'));
+    store.handleEvent(tagEvent(EventType.TagAdded, 'conversation2', 5, 'bug'));
+    store.handleEvent({ type: EventType.ConversationClosed, data: { conversationId: 'conversation2', timestamp: 6 } });
+
+    expect(store.getTagCounts()).toEqual({ bug: 1, billing: 1 });
+    expect(store.getTagCounts({ status: ['open', 'closed'] })).toEqual({ bug: 2, billing: 1 });
+  });
+
+  it('should notify the subscribers of the tag changes', () => {
+    const listener = vi.fn();
+    store.subscribe(listener);
+
+    store.handleEvent(tagEvent(EventType.TagAdded, 'conversation2', 3, 'bug'));
+
+    expect(listener).toHaveBeenCalledWith(
+      expect.objectContaining({
+        updated: [{ id: 'conversation2', changes: { tags: ['bug'] } }],
+      })
+    );
+  });
+
+  it('should keep the place of a tagged conversation in the list', () => {
+    store.handleEvent(tagEvent(EventType.TagAdded, 'conversation1', 3, 'bug'));
+    store.handleEvent(tagEvent(EventType.TagRemoved, 'conversation1', 4, 'bug'));
+
+    expect(store.getConversations().map(({ id, lastUpdatedTimestamp }) => [id, lastUpdatedTimestamp])).toEqual([
+      ['conversation2', 2],
+      ['conversation1', 1],
+    ]);
+  });
+
+  it('should reject a tag event without a tag', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    store.handleEvent({ type: EventType.TagAdded, data: { conversationId: 'conversation1', timestamp: 3 } });
+
+    expect(store.getDeadLetters()[0]).toMatchObject({ reason: 'MISSING_FIELD', field: 'tag' });
+    vi.restoreAllMocks();
+  });
+});
+
+describe('SLA', () => {
+  const minute = 60 * 1000;
+  let clock;
+  let store;
+
+  const inbound = (conversationId, timestamp) => ({
+    type: EventType.MessageReceived,
+    data: { conversationId, timestamp, subject: 'Subject', body: 'Question' },
+  });
+  const response = (conversationId, timestamp) => ({
+    type: EventType.MessageReceived,
+    data: { conversationId, timestamp, body: 'Answer', user: 'agent1' },
+  });
+  const assign = (conversationId, timestamp) => ({
+    type: EventType.Assigned,
+    data: { conversationId, timestamp, user: 'agent1' },
+  });
+  const close = (conversationId, timestamp) => ({
+    type: EventType.ConversationClosed,
+    data: { conversationId, timestamp },
+  });
+
+  beforeEach(() => {
+    clock = new ManualClock(minute);
+    store = new Store({ clock, slaPolicy: { firstResponseMs: 10 * minute } });
+  });
+
+  afterEach(() => {
+    store.dispose();
+  });
+
+  it('should follow the current time of the clock', () => {
+    store.handleEvent(inbound('conversation1', minute));
+
+    expect(store.getSla('conversation1')).toMatchObject({ state: 'ok', dueAt: 11 * minute });
+    clock.advance(8 * minute);
+    expect(store.getSla('conversation1')).toMatchObject({ state: 'atRisk', timeSinceLastInboundMs: 8 * minute });
+    clock.advance(2 * minute);
+    expect(store.getSla('conversation1').state).toBe('breached');
+    expect(store.getSla('unknown')).toBeNull();
+  });
+
+  it('should measure the time to the first response, whatever the order of the events', () => {
+    store.handleEvent(response('conversation1', 4 * minute));
+    store.handleEvent(inbound('conversation1', minute));
+
+    expect(store.getSla('conversation1')).toMatchObject({ state: 'ok', timeToFirstResponseMs: 3 * minute });
+  });
+
+  it('should measure the time to the first assignment', () => {
+    store.handleEvent(inbound('conversation1', minute));
+    store.handleEvent(assign('conversation1', 2 * minute));
+
+    expect(store.getSla('conversation1')).toMatchObject({ timeToFirstAssignmentMs: minute, assignedAt: 2 * minute });
+  });
+
+  it('should not breach a closed conversation', () => {
+    store.handleEvent(inbound('conversation1', minute));
+    store.handleEvent(close('conversation1', 2 * minute));
+    clock.advance(60 * minute);
+
+    expect(store.getSla('conversation1').state).toBe('ok');
+  });
+
+  it('should filter and sort the conversations by SLA', () => {
+    store.handleEvents([
+      inbound('conversation1', minute),
+      inbound('conversation2', 0.5 * minute),
+      inbound('conversation3', 2 * minute),
+      response('conversation3', 3 * minute),
+    ]);
+    clock.set(10.8 * minute);
+
+    expect(store.getConversations({ slaState: 'breached' }).map(({ id }) => id)).toEqual(['conversation2']);
+    expect(store.getConversations({ slaState: ['atRisk', 'breached'] }).map(({ id }) => id)).toEqual([
+      'conversation1',
+      'conversation2',
+    ]);
+    expect(store.getConversations({ sort: 'slaDue' }).map(({ id }) => id)).toEqual([
+      'conversation2',
+      'conversation1',
+      'conversation3',
+    ]);
+  });
+
+  it('should page through the conversations sorted by SLA', () => {
+    store.handleEvents([inbound('conversation1', minute), inbound('conversation2', 2 * minute)]);
+    store.handleEvent(response('conversation2', 3 * minute));
+
+    const firstPage = store.queryConversations({ sort: 'slaDue', limit: 1 });
+    const secondPage = store.queryConversations({ sort: 'slaDue', limit: 1, cursor: firstPage.nextCursor });
+
+    expect(firstPage.nextCursor).toBe(`due:${11 * minute}:${minute}:conversation1`);
+    expect(secondPage.conversations.map(({ id }) => id)).toEqual(['conversation2']);
+  });
+
+  it('should stamp the dead letters with the time of the clock', () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    store.handleEvent({ type: 'test', data: { conversationId: 'conversation1', timestamp: 1 } });
+
+    expect(store.getDeadLetters()[0].rejectedAt).toBe(minute);
+    vi.restoreAllMocks();
+  });
+
+  it('should keep the SLA in the snapshot', () => {
+    store.handleEvent(inbound('conversation1', minute));
+
+    const options = { clock, slaPolicy: { firstResponseMs: 10 * minute } };
+    const restored = Store.fromSnapshot(JSON.parse(JSON.stringify(store.toSnapshot())), options);
+
+    expect(restored.getSla('conversation1')).toEqual(store.getSla('conversation1'));
+  });
+});
+
+describe('Assignment history', () => {
+  let clock;
+  let store;
+
+  const assign = (timestamp, user) => ({
+    type: EventType.Assigned,
+    data: { conversationId: 'conversation1', timestamp, user },
+  });
+  const unassign = (timestamp) => ({
+    type: EventType.Unassigned,
+    data: { conversationId: 'conversation1', timestamp },
+  });
+
+  beforeEach(() => {
+    clock = new ManualClock(100);
+    store = new Store({ clock });
+  });
+
+  it('should record the assignment periods with their duration', () => {
+    store.handleEvents([assign(10, 'user1'), unassign(20), assign(30, 'user2')]);
+
+    expect(store.getAssignmentHistory('conversation1')).toEqual([
+      { user: 'user1', assignedAt: 10, unassignedAt: 20, durationMs: 10 },
+      { user: 'user2', assignedAt: 30, unassignedAt: null, durationMs: 70 },
+    ]);
+  });
+
+  it('should end the current assignment when the conversation is assigned to another user', () => {
+    store.handleEvents([assign(10, 'user1'), assign(20, 'user1'), assign(30, 'user2')]);
+
+    expect(store.getAssignmentHistory('conversation1')).toEqual([
+      { user: 'user1', assignedAt: 10, unassignedAt: 30, durationMs: 20 },
+      { user: 'user2', assignedAt: 30, unassignedAt: null, durationMs: 70 },
+    ]);
+  });
+
+  it('should be the same whatever the order of the events and the duplicates', () => {
+    const events = [assign(10, 'user1'), unassign(20), assign(30, 'user2'), unassign(40), assign(50, 'user1')];
+    store.handleEvents(events);
+
+    const shuffledStore = new Store({ clock });
+    shuffledStore.handleEvents([events[4], events[1], events[3], events[0], events[1], events[2], events[4]]);
+
+    expect(shuffledStore.getAssignmentHistory('conversation1')).toEqual(store.getAssignmentHistory('conversation1'));
+    expect(shuffledStore.getAssignmentHistory('conversation1')).toHaveLength(3);
+  });
+
+  it('should ignore an unassignment of a conversation that is not assigned', () => {
+    store.handleEvents([unassign(10), assign(20, 'user1')]);
+
+    expect(store.getAssignmentHistory('conversation1')).toEqual([
+      { user: 'user1', assignedAt: 20, unassignedAt: null, durationMs: 80 },
+    ]);
+    expect(store.getAssignmentHistory('unknown')).toEqual([]);
+  });
+
+  it('should keep the assignment history in the snapshot', () => {
+    store.handleEvents([assign(10, 'user1'), unassign(20)]);
+
+    const restored = Store.fromSnapshot(JSON.parse(JSON.stringify(store.toSnapshot())), { clock });
+
+    expect(restored.getAssignmentHistory('conversation1')).toEqual(store.getAssignmentHistory('conversation1'));
+  });
+});
+
+describe('Deduplication', () => {
+  const message = (timestamp, body, eventId) => ({
+    type: EventType.MessageReceived,
+    ...(eventId ? { eventId } : {}),
+    data: { conversationId: 'conversation1', timestamp, subject: 'Subject', body },
+  });
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should keep two different events of a conversation with the same timestamp', () => {
+    const store = new Store();
+    store.handleEvents([message(1, 'First'), message(1, 'Second')]);
+
+    expect(store.getConversations()[0].messageCount).toBe(2);
+    expect(store.getDuplicateEventCount()).toBe(0);
+  });
+
+  it('should count the duplicates that were dropped', () => {
+    const store = new Store();
+    store.handleEvents([message(1, 'First'), message(1, 'First'), message(2, 'Second'), message(1, 'First')]);
+
+    expect(store.getConversations()[0].messageCount).toBe(2);
+    expect(store.getDuplicateEventCount()).toBe(2);
+  });
+
+  it('should deduplicate by the eventId of the server when there is one', () => {
+    const store = new Store();
+    store.handleEvents([message(1, 'Body', 'event1'), message(1, 'Body', 'event2'), message(2, 'Edited', 'event1')]);
+
+    expect(store.getConversations()[0].messageCount).toBe(2);
+    expect(store.getDuplicateEventCount()).toBe(1);
+  });
+
+  it('should reject an eventId that is not a string', () => {
+    const store = new Store();
+    store.handleEvent({ ...message(1, 'Body'), eventId: 42 });
+
+    expect(store.getDeadLetters()[0]).toMatchObject({ reason: 'INVALID_FIELD_TYPE', field: 'eventId' });
+  });
+
+  it('should remember a bounded number of events', () => {
+    const store = new Store({ deduplication: { capacity: 2 } });
+    store.handleEvents([message(1, 'First'), message(2, 'Second'), message(3, 'Third')]);
+
+    expect(store['uniqueEvents'].size).toBe(2);
+  });
+
+  it('should still drop an event that the deduplicator forgot but the event log has', () => {
+    const store = new Store({ deduplication: { capacity: 2 } });
+    store.handleEvents([message(1, 'First'), message(2, 'Second'), message(3, 'Third')]);
+
+    store.handleEvent(message(1, 'First'));
+
+    expect(store.getConversations()[0].messageCount).toBe(3);
+    expect(store.getMessages('conversation1').messages.map(({ body }) => body)).toEqual(['First', 'Second', 'Third']);
+    expect(store.getDuplicateEventCount()).toBe(1);
+  });
+
+  it('should forget the events seen before the window', () => {
+    const clock = new ManualClock(0);
+    const store = new Store({ clock, deduplication: { windowMs: 1000 } });
+    store.handleEvent(message(1, 'First'));
+
+    store.handleEvent(message(1, 'First'));
+    clock.advance(2000);
+    store.handleEvent(message(2, 'Second'));
+
+    expect(store.getDuplicateEventCount()).toBe(1);
+    expect(store['uniqueEvents'].size).toBe(1);
+  });
+
+  it('should deduplicate the events of a snapshot of the previous version with the new keys', () => {
+    const store = new Store();
+    store.handleEvent(message(1, 'First'));
+    const snapshot = { ...store.toSnapshot(), version: 6, uniqueEvents: ['conversation1-1'] };
+
+    const restored = Store.fromSnapshot(snapshot);
+    restored.handleEvent(message(1, 'First'));
+
+    expect(restored.getDuplicateEventCount()).toBe(1);
+    expect(restored.getConversations()[0].messageCount).toBe(1);
+  });
+});
+
+describe('Commands', () => {
+  let sender;
+  let clock;
+  let store;
+
+  const received = (type, data) => ({
+    type,
+    data: { conversationId: 'conversation1', timestamp: 1, ...data },
+  });
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    sender = { send: vi.fn() };
+    clock = new ManualClock(1000);
+    store = new Store({ sender, clock, currentUser: 'Ann' });
+    store.handleEvent(received(EventType.MessageReceived, { subject: 'Subject', body: 'Question' }));
+  });
+
+  afterEach(() => {
+    store.dispose();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('should apply the command at once and send its event', () => {
+    const commandId = store.assign('conversation1', 'Bob');
+
+    const [event] = sender.send.mock.calls[0];
+    expect(event).toEqual({
+      type: EventType.Assigned,
+      eventId: commandId,
+      data: { conversationId: 'conversation1', timestamp: 1000, user: 'Bob' },
+    });
+    expect(store.getConversations()[0]).toMatchObject({ assignedUser: 'Bob', pendingCommandCount: 1 });
+    expect(store.getCommands('conversation1')).toEqual([{ id: commandId, event, status: 'pending', error: null }]);
+  });
+
+  it('should confirm the command when the server echoes its event', () => {
+    const listener = vi.fn();
+    store.subscribe(listener);
+    store.assign('conversation1', 'Bob');
+    const [event] = sender.send.mock.calls[0];
+
+    store.handleEvent(JSON.parse(JSON.stringify(event)));
+
+    expect(store.getConversations()[0]).toMatchObject({ assignedUser: 'Bob', pendingCommandCount: 0 });
+    expect(store.getCommands()).toEqual([]);
+    expect(store.getDuplicateEventCount()).toBe(0);
+    expect(listener).toHaveBeenLastCalledWith(
+      expect.objectContaining({ updated: [{ id: 'conversation1', changes: { pendingCommandCount: 0 } }] })
+    );
+  });
+
+  it('should fail the pending commands on a reset and settle the confirmed ones', () => {
+    const listener = vi.fn();
+    store.subscribe(listener);
+    store.assign('conversation1', 'Bob');
+    const [confirmedEvent] = sender.send.mock.calls[0];
+    const pendingId = store.sendMessage('conversation1', 'Subject', 'Answer');
+    listener.mockClear();
+
+    store.reset([received(EventType.MessageReceived, { subject: 'Subject', body: 'Question' }), confirmedEvent]);
+
+    expect(store.getCommands()).toEqual([
+      expect.objectContaining({ id: pendingId, status: 'failed', error: expect.any(String) }),
+    ]);
+    expect(store.getConversations()[0]).toMatchObject({
+      assignedUser: 'Bob',
+      messageCount: 1,
+      pendingCommandCount: 0,
+      failedCommandCount: 1,
+    });
+    expect(listener).toHaveBeenCalledTimes(1);
+
+    store.retryCommand(pendingId);
+    expect(store.getConversations()[0]).toMatchObject({ messageCount: 2, pendingCommandCount: 1 });
+  });
+
+  it('should keep the version of the server when the echo differs', () => {
+    store.unassign('conversation1');
+    store.assign('conversation1', 'Bob');
+    const [event] = sender.send.mock.calls[1];
+
+    store.handleEvent({ ...event, data: { ...event.data, timestamp: 2000 } });
+
+    expect(store.getConversations()[0]).toMatchObject({ assignedUser: 'Bob', lastUpdatedTimestamp: 2000 });
+    expect(store.getConversations()[0].pendingCommandCount).toBe(1);
+  });
+
+  it('should roll back a command that could not be sent', () => {
+    sender.send.mockImplementation(() => {
+      throw new Error('The connection is closed');
+    });
+
+    const commandId = store.assign('conversation1', 'Bob');
+
+    expect(store.getConversations()[0]).toMatchObject({
+      assignedUser: null,
+      pendingCommandCount: 0,
+      failedCommandCount: 1,
+    });
+    expect(store.getCommands()).toEqual([
+      expect.objectContaining({ id: commandId, status: 'failed', error: 'The connection is closed' }),
+    ]);
+  });
+
+  it('should roll back a command when the sender rejects it', async () => {
+    sender.send.mockRejectedValue(new Error('Forbidden'));
+
+    store.assign('conversation1', 'Bob');
+    expect(store.getConversations()[0].assignedUser).toBe('Bob');
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(store.getConversations()[0]).toMatchObject({ assignedUser: null, failedCommandCount: 1 });
+    expect(store.getCommands()[0].error).toBe('Forbidden');
+  });
+
+  it('should roll back a command the server did not echo in time', () => {
+    store.assign('conversation1', 'Bob');
+
+    vi.advanceTimersByTime(10000);
+
+    expect(store.getConversations()[0]).toMatchObject({ assignedUser: null, failedCommandCount: 1 });
+    expect(store.getCommands()[0].error).toBe('The server did not confirm it in time');
+  });
+
+  it('should apply a late echo of a command that failed', () => {
+    store.assign('conversation1', 'Bob');
+    const [event] = sender.send.mock.calls[0];
+    vi.advanceTimersByTime(10000);
+
+    store.handleEvent(event);
+
+    expect(store.getConversations()[0]).toMatchObject({ assignedUser: 'Bob', failedCommandCount: 0 });
+  });
+
+  it('should retry a failed command with the same eventId, or discard it', () => {
+    sender.send.mockImplementationOnce(() => {
+      throw new Error('The connection is closed');
+    });
+    const commandId = store.assign('conversation1', 'Bob');
+
+    store.retryCommand(commandId);
+
+    expect(sender.send).toHaveBeenCalledTimes(2);
+    expect(sender.send.mock.calls[1][0].eventId).toBe(commandId);
+    expect(store.getConversations()[0]).toMatchObject({ assignedUser: 'Bob', pendingCommandCount: 1 });
+
+    vi.advanceTimersByTime(10000);
+    store.discardCommand(commandId);
+
+    expect(store.getCommands()).toEqual([]);
+    expect(store.getConversations()[0]).toMatchObject({ pendingCommandCount: 0, failedCommandCount: 0 });
+    expect(() => store.retryCommand(commandId)).toThrow(`No failed command ${commandId}`);
+  });
+
+  it('should send a message as the current user and remove it from the history when it fails', () => {
+    store.sendMessage('conversation1', 'Re: Subject', 'Answer');
+
+    expect(sender.send.mock.calls[0][0].data).toMatchObject({ user: 'Ann', subject: 'Re: Subject', body: 'Answer' });
+    expect(store.getConversations()[0]).toMatchObject({ blurb: 'Answer', messageCount: 2 });
+    expect(store.search('answer')).toHaveLength(1);
+
+    vi.advanceTimersByTime(10000);
+
+    expect(store.getConversations()[0]).toMatchObject({ blurb: 'Question', messageCount: 1 });
+    expect(store.getMessages('conversation1').messages.map(({ body }) => body)).toEqual(['Question']);
+    expect(store.search('answer')).toEqual([]);
+  });
+
+  it('should not send a command without a sender, to an unknown conversation or with invalid data', () => {
+    expect(() => new Store().assign('conversation1', 'Bob')).toThrow('The store has no sender');
+    expect(() => store.assign('conversation2', 'Bob')).toThrow('Unknown conversation conversation2');
+    expect(() => store.assign('conversation1', '')).toThrow('Event is missing a user');
+    expect(() => new Store({ sender }).sendMessage('conversation1', 'Subject', 'Body')).toThrow(
+      'The store has no currentUser'
+    );
+    expect(sender.send).not.toHaveBeenCalled();
+  });
+
+  it('should fail the commands that were pending when the snapshot was taken', () => {
+    store.assign('conversation1', 'Bob');
+
+    const restored = Store.fromSnapshot(JSON.parse(JSON.stringify(store.toSnapshot())), { sender });
+
+    expect(restored.getConversations()[0]).toMatchObject({ assignedUser: null, failedCommandCount: 1 });
+    expect(restored.getCommands()[0].error).toBe('The app was closed before the server confirmed it');
+    restored.dispose();
+  });
+
+  it('should migrate a snapshot of the previous version without commands', () => {
+    const snapshot = store.toSnapshot();
+    const { commands, ...previous } = snapshot;
+    previous.version = 7;
+    previous.conversations = snapshot.conversations.map(
+      ({ pendingCommandCount, failedCommandCount, ...conversation }) => conversation
+    );
+
+    const restored = Store.fromSnapshot(previous);
+
+    expect(restored.getConversations()).toEqual(store.getConversations());
+    expect(restored.getCommands()).toEqual([]);
+  });
+});
+
+describe('Blurb', () => {
+  const message = (body, timestamp = 1) => ({
+    type: 'messageReceived',
+    data: { conversationId: 'conversation1', timestamp, subject: 'Subject', body },
+  });
+
+  it('should build the blurb from the plain text of the body', () => {
+    const store = new Store();
+
+    store.handleEvent(message('<p>Hello <b>there</b>,</p>\n\n**Order** [#42](https://example.com/42)   shipped'));
+
+    expect(store.getConversations()[0].blurb).toBe('Hello there, Order #42 shipped');
+  });
+
+  it('should use the blurb options of the store', () => {
+    const store = new Store({ blurb: { maxLength: 12, ellipsis: '...', stripMarkdown: false } });
+
+    store.handleEvent(message('**Hello** wonderful world'));
+
+    expect(store.getConversations()[0].blurb).toBe('**Hello**...');
+  });
+
+  it('should fall back to the blurb of the body when the users stop typing', () => {
+    const store = new Store({ blurb: { maxLength: 18 } });
+    store.handleEvent(message('Hello wonderful world'));
+    store.handleEvent({ type: 'typingStarted', data: { conversationId: 'conversation1', timestamp: 2, user: 'Ann' } });
+
+    store.handleEvent({ type: 'typingStopped', data: { conversationId: 'conversation1', timestamp: 3, user: 'Ann' } });
+
+    expect(store.getConversations()[0].blurb).toBe('Hello wonderful…');
+  });
+});
+
+describe('Typing text', () => {
+  const typingStarted = (timestamp, user) => ({
+    type: 'typingStarted',
+    data: { conversationId: 'conversation1', timestamp, user },
+  });
+
+  it('should condense the typing indicator of many users in the locale of the store', () => {
+    const store = new Store({ typingText: { locale: 'fr' }, typingTtlMs: null });
+
+    ['Ann', 'Bob', 'Carol', 'Dan', 'Eve'].forEach((user, index) => store.handleEvent(typingStarted(index + 1, user)));
+
+    expect(store.getConversations()[0].blurb).toBe('Ann, Bob et 3 autres sont en train de répondre...');
+  });
+
+  it('should leave the current user out of the typing indicator', () => {
+    const store = new Store({ currentUser: 'Ann', excludeCurrentUserFromTyping: true, typingTtlMs: null });
+    store.handleEvent({
+      type: 'messageReceived',
+      data: { conversationId: 'conversation1', timestamp: 1, subject: 'Subject', body: 'Body' },
+    });
+
+    store.handleEvent(typingStarted(2, 'Ann'));
+    expect(store.getConversations()[0].blurb).toBe('Body');
+    expect(store.getTypingUsers('conversation1')).toEqual([]);
+
+    store.handleEvent(typingStarted(3, 'Bob'));
+    expect(store.getConversations()[0].blurb).toBe('Bob is replying...');
+  });
+});
@@ -1,4 +1,158 @@
-import { defaultConversation, Conversation, ConversationEvent, EventType } from './utils.types';
+import { BlurbOptions, buildBlurb, defaultBlurbOptions } from './blurb';
+import { Clock, systemClock } from './clock';
+import { diffConversations, isEmptyChangeSet, isSameValue } from './changes';
+import { DeadLetterQueue } from './deadLetterQueue';
+import { EventDeduplicator, getEventKey } from './deduplicator';
+import { formatTypingText, TypingTextOptions } from './messageFormat';
+import {
+  compareConversations,
+  createConversationFilter,
+  createSortKey,
+  paginateConversations,
+  QueryContext,
+  SortKey,
+} from './query';
+import { buildSnippet, SearchIndex, SearchMatch, tokenize } from './search';
+import {
+  computeSla,
+  createSlaTimestamps,
+  defaultSlaPolicy,
+  recordAssignment,
+  recordInboundMessage,
+  recordResponse,
+  recordUnassignment,
+  SlaTimestamps,
+} from './sla';
+import { migrateSnapshot, snapshotVersion, StoreSnapshot } from './snapshot';
+import { baseSchema, eventSchemas, validateEvent } from './validation';
+import {
+  AnyConversationEvent,
+  AssignmentPeriod,
+  ChangeListener,
+  CommandStatus,
+  defaultConversation,
+  Conversation,
+  ConversationEvent,
+  ConversationPage,
+  ConversationQuery,
+  ConversationSla,
+  ConversationStatus,
+  CustomConversationEvent,
+  DeadLetter,
+  EventRejection,
+  EventReducer,
+  EventSchema,
+  EventData,
+  EventSender,
+  EventType,
+  EventTypeKeys,
+  LoggedEvent,
+  Message,
+  MessagePage,
+  MessagePageOptions,
+  OutgoingCommand,
+  RejectionReason,
+  SearchResult,
+  SearchSnippet,
+  SlaPolicy,
+  StoreOptions,
+} from './utils.types';
+
+const defaultMessagePageLimit = 20;
+
+/*Events about a conversation that are not part of it. A conversation that only received these
+(e.g. a read marker that arrived before the first message) is kept but not listed */
+const metadataEventTypes: string[] = [EventType.ConversationRead, EventType.TagAdded, EventType.TagRemoved];
+
+const defaultTypingTtlMs = 10000;
+
+const defaultCommandTimeoutMs = 10000;
+
+//Makes the eventIds of the commands unique within the page, the random part makes them unique across clients
+let commandCounter = 0;
+
+function createCommandId(): string {
+  commandCounter++;
+  return `client-${Date.now().toString(36)}-${commandCounter}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function getErrorMessage(error: unknown): string {
+  return error instanceof Error ? error.message : String(error);
+}
+
+//setTimeout fires at once when the delay does not fit in 32 bits, a longer snooze is waited in several steps
+const maxTimeoutMs = 2 ** 31 - 1;
+
+//Index of the first item whose timestamp is not older than the given timestamp (binary search, items are sorted)
+function firstIndexNotOlderThan(items: { timestamp: number }[], timestamp: number): number {
+  let low = 0;
+  let high = items.length;
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (items[middle].timestamp < timestamp) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+//Index of the first item whose timestamp is newer than the given timestamp
+function firstIndexNewerThan(items: { timestamp: number }[], timestamp: number): number {
+  let low = 0;
+  let high = items.length;
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (items[middle].timestamp <= timestamp) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+//Whether one of the items sorted by timestamp has the id, only the items with the same timestamp are compared
+function hasItemWithId(items: { id: string; timestamp: number }[], id: string, timestamp: number): boolean {
+  for (let index = firstIndexNotOlderThan(items, timestamp); index < items.length; index++) {
+    if (items[index].timestamp !== timestamp) {
+      return false;
+    }
+    if (items[index].id === id) {
+      return true;
+    }
+  }
+  return false;
+}
+
+//Index of the message a cursor of getMessages points to, the messages before it belong to the next page
+function getMessageCursorIndex(messages: Message[], cursor: string): number {
+  const separator = cursor.indexOf(':');
+  const timestamp = Number(cursor.slice(0, separator));
+  if (separator < 0 || !Number.isFinite(timestamp)) {
+    throw new Error(`Invalid message cursor: ${cursor}`);
+  }
+  const id = cursor.slice(separator + 1);
+
+  //The messages with the same timestamp keep their order, the cursor message is found among them
+  const index = firstIndexNotOlderThan(messages, timestamp);
+  for (let sameTimestampIndex = index; sameTimestampIndex < messages.length; sameTimestampIndex++) {
+    if (messages[sameTimestampIndex].timestamp !== timestamp) {
+      break;
+    }
+    if (messages[sameTimestampIndex].id === id) {
+      return sameTimestampIndex;
+    }
+  }
+  //The cursor message is gone (e.g. a command rolled back), the page starts before its timestamp
+  return index;
+}
+
+//Inserts the item after all the items with an older or equal timestamp, so equal timestamps keep their arrival order
+function insertSorted<T extends { timestamp: number }>(items: T[], item: T): void {
+  items.splice(firstIndexNewerThan(items, item.timestamp), 0, item);
+}
 
 export class Store {
   /*This map will store the conversations
@@ -14,42 +168,467 @@ export class Store {
   //This blacklist array can be modified or can use retrieved from the server
   private blackListedUsers = ['John_Doe'];
 
-  //Set will make sure  it is unique conversationId-timestamp pair
-  private uniqueEvents = new Set<string>();
+  /*The keys of the events already processed (the server eventId or a hash of the content), see getEventKey.
+  Only the most recent ones are remembered so the memory stays bounded */
+  private uniqueEvents: EventDeduplicator;
+
+  //Number of duplicate events dropped since the store was created
+  private duplicateEventCount = 0;
 
   private typingUsers = new Map<string, Set<string>>();
 
+  /*The message history of every conversation, sorted by timestamp with the oldest message first
+  messageCount, subject and blurb of a conversation are derived from this history */
+  private messages = new Map<string, Message[]>();
+
+  /*Every accepted event of a conversation sorted by timestamp.
+  When an event arrives later than newer events of the same conversation the state is recomputed from this log,
+  so the result does not depend on the order in which the events were received */
+  private eventLog = new Map<string, LoggedEvent[]>();
+
+  //Full-text index of the message subjects and bodies, updated as the messages arrive
+  private searchIndex = new SearchIndex();
+
+  private listeners: ChangeListener[] = [];
+
+  /*Copy of the visible conversation list as the listeners saw it last time.
+  The conversation objects are updated in place, so they are copied to be able to diff the fields later */
+  private visibleConversations: Conversation[] = [];
+
+  //While a batch is handled the listeners are notified only once at the end of it
+  private isHandlingBatch = false;
+
+  //How long a typing indicator is shown after the last typingStarted of a user, null keeps it until typingStopped
+  private typingTtlMs: number | null = defaultTypingTtlMs;
+
+  /*Expiry timer of every typing user, the key is conversationId and user.
+  It also keeps the typingStarted events that the timer is going to expire */
+  private typingTimers = new Map<string, { timeout: ReturnType<typeof setTimeout>; eventIds: string[] }>();
+
+  //typingStarted events that expired, they are skipped when the event log of the conversation is replayed
+  private expiredTypingEvents = new Set<string>();
+
+  /*How far every user read every conversation, the key of the outer map is the conversationId and the inner map
+  goes from the user to the timestamp of the last message the user read */
+  private readPositions = new Map<string, Map<string, number>>();
+
+  //Wake-up timer of every snoozed conversation, the key is the conversationId
+  private snoozeTimers = new Map<string, ReturnType<typeof setTimeout>>();
+
+  //Every event is validated against the schema of its type before it touches the state
+  private eventSchemas: Record<string, EventSchema> = { ...eventSchemas };
+
+  private clock: Clock = systemClock;
+
+  //The rejected events with the reason, they can be inspected and retried
+  private deadLetters: DeadLetterQueue;
+
+  private slaPolicy: SlaPolicy = defaultSlaPolicy;
+
+  /*Who owned every conversation and when, oldest first. The duration is left out as it changes with time,
+  the last period has no unassignedAt while the conversation is assigned */
+  private assignmentHistory = new Map<string, Omit<AssignmentPeriod, 'durationMs'>[]>();
+
+  //The timestamps every SLA is computed from, the SLA itself depends on the current time so it is computed on demand
+  private slaTimestamps = new Map<string, SlaTimestamps>();
+
+  //Reducers of the event types registered from outside, the built-in types are handled by applyEvent
+  private eventHandlers = new Map<string, EventReducer>();
+
+  private sender: EventSender | null = null;
+
+  private commandTimeoutMs: number | null = defaultCommandTimeoutMs;
+
+  private currentUser: string | null = null;
+
+  private blurbOptions: Required<BlurbOptions> = defaultBlurbOptions;
+
+  private typingTextOptions: TypingTextOptions = {};
+
+  private excludeCurrentUserFromTyping = false;
+
+  /*The commands sent from this client that are pending or failed, the key is the eventId, oldest first.
+  The event of a pending command is in the event log like any other event until the echo of the server replaces it */
+  private commands = new Map<string, OutgoingCommand>();
+
+  //Timeout of every pending command, the key is the eventId
+  private commandTimers = new Map<string, ReturnType<typeof setTimeout>>();
+
+  constructor({
+    blackListedUsers,
+    typingTtlMs,
+    slaPolicy,
+    clock,
+    deduplication,
+    sender,
+    commandTimeoutMs,
+    currentUser,
+    blurb,
+    typingText,
+    excludeCurrentUserFromTyping,
+  }: StoreOptions = {}) {
+    if (blackListedUsers) {
+      this.blackListedUsers = [...blackListedUsers];
+    }
+    if (typingTtlMs !== undefined) {
+      this.typingTtlMs = typingTtlMs;
+    }
+    if (slaPolicy) {
+      this.slaPolicy = { ...defaultSlaPolicy, ...slaPolicy };
+    }
+    if (clock) {
+      this.clock = clock;
+    }
+    if (sender) {
+      this.sender = sender;
+    }
+    if (commandTimeoutMs !== undefined) {
+      this.commandTimeoutMs = commandTimeoutMs;
+    }
+    if (currentUser) {
+      this.currentUser = currentUser;
+    }
+    if (blurb) {
+      this.blurbOptions = { ...defaultBlurbOptions, ...blurb };
+    }
+    if (typingText) {
+      this.typingTextOptions = { ...typingText };
+    }
+    if (excludeCurrentUserFromTyping) {
+      this.excludeCurrentUserFromTyping = true;
+    }
+    this.deadLetters = new DeadLetterQueue(undefined, this.clock);
+    this.uniqueEvents = new EventDeduplicator(deduplication, this.clock);
+  }
+
+  /**
+   * Creates a store from a snapshot returned by toSnapshot, possibly of an older schema version.
+   * The typing indicators that were restored expire typingTtlMs after the hydration.
+   * The commands that were still pending fail, as their echo may have been missed while the app was closed.
+   *
+   * @param {StoreSnapshot} snapshot plain object, it can come straight from JSON.parse
+   * @param {StoreOptions} options
+   * @returns {Store}
+   */
+  static fromSnapshot(snapshot: { version?: unknown }, options: StoreOptions = {}): Store {
+    const {
+      conversations,
+      uniqueEvents,
+      typingUsers,
+      lastBody,
+      messages,
+      eventLog,
+      expiredTypingEvents,
+      readPositions,
+      slaTimestamps,
+      assignmentHistory,
+      commands,
+    } = migrateSnapshot(snapshot);
+    const store = new Store(options);
+
+    conversations.forEach((conversation) => store.conversations.set(conversation.id, { ...conversation }));
+    uniqueEvents.forEach(([key, seenAt]) => store.uniqueEvents.add(key, seenAt));
+    typingUsers.forEach(([conversationId, users]) => store.typingUsers.set(conversationId, new Set(users)));
+    store.lastBody = new Map(lastBody);
+    messages.forEach(([conversationId, conversationMessages]) => {
+      store.messages.set(conversationId, [...conversationMessages]);
+      conversationMessages.forEach((message) => store.searchIndex.addMessage(message));
+    });
+    store.eventLog = new Map(eventLog.map(([conversationId, events]) => [conversationId, [...events]]));
+    store.expiredTypingEvents = new Set(expiredTypingEvents);
+    readPositions.forEach(([conversationId, positions]) => store.readPositions.set(conversationId, new Map(positions)));
+    slaTimestamps.forEach(([conversationId, timestamps]) => store.slaTimestamps.set(conversationId, { ...timestamps }));
+    assignmentHistory.forEach(([conversationId, periods]) => {
+      store.assignmentHistory.set(conversationId, periods.map((period) => ({ ...period })));
+    });
+
+    commands.forEach((command) => store.commands.set(command.id, { ...command }));
+    commands.forEach((command) => store.failCommand(command.id, 'The app was closed before the server confirmed it'));
+
+    //The timers are not part of the snapshot, a snooze that ended while the app was closed ends at once
+    store.conversations.forEach((conversation) => store.scheduleSnoozeExpiry(conversation));
+
+    //The restored typing indicators get a new expiry
+    store.typingUsers.forEach((users, conversationId) => {
+      const typingStartedEvents = (store.eventLog.get(conversationId) || []).filter(
+        ({ id, event }) => event.type === EventType.TypingStarted && !store.expiredTypingEvents.has(id)
+      );
+      users.forEach((user) => {
+        const eventIds = typingStartedEvents.filter(({ event }) => event.data.user === user).map(({ id }) => id);
+        store.scheduleTypingExpiry(conversationId, user, eventIds);
+      });
+    });
+
+    return store;
+  }
+
+  /**
+   * Returns the whole state of the store as a plain object that can be given to JSON.stringify.
+   *
+   * @returns {StoreSnapshot}
+   */
+  toSnapshot(): StoreSnapshot {
+    return {
+      version: snapshotVersion,
+      conversations: Array.from(this.conversations.values()).map((conversation) => ({ ...conversation })),
+      uniqueEvents: this.uniqueEvents.entries(),
+      typingUsers: Array.from(this.typingUsers.entries()).map(([conversationId, users]) => [
+        conversationId,
+        Array.from(users),
+      ]),
+      lastBody: Array.from(this.lastBody.entries()),
+      messages: Array.from(this.messages.entries()).map(([conversationId, messages]) => [
+        conversationId,
+        [...messages],
+      ]),
+      eventLog: Array.from(this.eventLog.entries()).map(([conversationId, events]) => [conversationId, [...events]]),
+      expiredTypingEvents: Array.from(this.expiredTypingEvents),
+      readPositions: Array.from(this.readPositions.entries()).map(([conversationId, positions]) => [
+        conversationId,
+        Array.from(positions.entries()),
+      ]),
+      slaTimestamps: Array.from(this.slaTimestamps.entries()).map(([conversationId, timestamps]) => [
+        conversationId,
+        { ...timestamps },
+      ]),
+      assignmentHistory: Array.from(this.assignmentHistory.entries()).map(([conversationId, periods]) => [
+        conversationId,
+        periods.map((period) => ({ ...period })),
+      ]),
+      commands: Array.from(this.commands.values()).map((command) => ({ ...command })),
+    };
+  }
+
+  /**
+   * Stops the pending timers (typing indicator, snooze and command expiry),
+   * the store does not change by itself anymore.
+   *
+   * @returns {void}
+   */
+  dispose(): void {
+    this.typingTimers.forEach(({ timeout }) => clearTimeout(timeout));
+    this.typingTimers.clear();
+    this.snoozeTimers.forEach((timeout) => clearTimeout(timeout));
+    this.snoozeTimers.clear();
+    this.commandTimers.forEach((timeout) => clearTimeout(timeout));
+    this.commandTimers.clear();
+  }
+
+  /**
+   * Drops the whole state and rebuilds it from the given events, e.g. when the playback seeks back in time.
+   * The subscribers are notified once with the difference between the old and the new state.
+   * The commands are kept: the ones confirmed by the given events are settled, the other pending ones fail
+   * so they can be retried.
+   *
+   * @param {ConversationEvent[]} events
+   * @returns {void}
+   */
+  reset(events: readonly AnyConversationEvent[] = []): void {
+    this.dispose();
+    this.conversations.clear();
+    this.lastBody.clear();
+    this.uniqueEvents.clear();
+    this.typingUsers.clear();
+    this.messages.clear();
+    this.eventLog.clear();
+    this.expiredTypingEvents.clear();
+    this.readPositions.clear();
+    this.slaTimestamps.clear();
+    this.assignmentHistory.clear();
+    this.searchIndex = new SearchIndex();
+    //The rejected events and the duplicates of the given events are counted again
+    this.deadLetters.clear();
+    this.duplicateEventCount = 0;
+
+    this.isHandlingBatch = true;
+    try {
+      events.forEach((event) => this.receiveEvent(event as ConversationEvent));
+      //The events of the pending commands were dropped with the event log, they are rolled back already
+      this.commands.forEach((command) => {
+        this.failCommand(command.id, 'The state was rebuilt before the server confirmed it');
+        this.updateCommandCounts(command.event.data.conversationId);
+      });
+    } finally {
+      this.isHandlingBatch = false;
+    }
+
+    this.notifyListeners();
+  }
+
   /**
    * Returns an array of conversation objects in reverse chronological order.
+   * Without a query it returns every open conversation except the ones assigned to a blacklisted user.
    *
+   * @param {ConversationQuery} query optional filters (assignee, status, tags, text, updatedAfter/Before,
+   *   minMessageCount) and paging (offset/limit or cursor/limit)
    * @returns {readonly {
    *   id: string,
    *   assignedUser: string | null,
    *   subject: string,
    *   blurb: string,
    *   messageCount: number,
-   *   lastUpdatedTimestamp: number
+   *   lastUpdatedTimestamp: number,
+   *   status: 'open' | 'closed' | 'snoozed' | 'archived',
+   *   snoozedUntil: number | null,
+   *   tags: string[],
+   *   pendingCommandCount: number,
+   *   failedCommandCount: number
    * }[]}
    */
-  getConversations(): readonly Conversation[] {
+  getConversations(query: ConversationQuery = {}): readonly Conversation[] {
+    return this.queryConversations(query).conversations;
+  }
+
+  /**
+   * Same as getConversations but returns the page with the total count and the cursor of the next page.
+   *
+   * @param {ConversationQuery} query
+   * @returns {{ conversations: Conversation[], total: number, nextCursor: string | null }}
+   */
+  queryConversations(query: ConversationQuery = {}): ConversationPage {
     //Convert the Conversations Map to an array
     let conversations = Array.from(this.conversations.values()) as Conversation[];
-    let blackListedUsers = this.blackListedUsers;
 
-    /*From the conversations array, filter out the conversations that have an assigned user in the blacklisted users
-    Blacklisted users are defined in the class property
+    /*The blacklisted users are the default policy, they are excluded unless the query overrides excludedAssignees
     This blacklist array can be modified or can use retrieved from the server */
-    let filteredUsers = conversations.filter((conversation: Conversation) => {
-      //return conversation.assignedUser !== 'John_Doe';
-      return !blackListedUsers.includes(conversation.assignedUser || '');
+    let filteredConversations = conversations.filter(createConversationFilter(query, this.getQueryContext()));
+
+    /*Sort the conversations by lastUpdatedTimestamp in descending order, the unread ones first if the query asks for it
+    The sort keys are computed once as the unread count of a conversation is not free */
+    const createKey = createSortKey(query, this.getQueryContext());
+    const sortKeys = new Map<Conversation, SortKey>(
+      filteredConversations.map((conversation) => [conversation, createKey(conversation)])
+    );
+    const getSortKey = (conversation: Conversation) => sortKeys.get(conversation) as SortKey;
+    let sortedConversations = filteredConversations.sort((a, b) => compareConversations(getSortKey(a), getSortKey(b)));
+
+    return paginateConversations(sortedConversations, query, getSortKey);
+  }
+
+  /**
+   * Returns how many messages of the conversation the viewer did not read yet.
+   * A user who never read the conversation did not read any of its messages.
+   *
+   * @param {string} conversationId
+   * @param {string} viewer
+   * @returns {number}
+   */
+  getUnreadCount(conversationId: string, viewer: string): number {
+    const messages = this.messages.get(conversationId) || [];
+    const readPosition = this.readPositions.get(conversationId)?.get(viewer);
+    return readPosition === undefined ? messages.length : messages.length - firstIndexNewerThan(messages, readPosition);
+  }
+
+  /**
+   * Returns who owned the conversation and when, the oldest assignment first.
+   * The history is rebuilt from the event log, so it is correct even if the events arrived out of order or twice.
+   *
+   * @param {string} conversationId
+   * @returns {{ user: string, assignedAt: number, unassignedAt: number | null, durationMs: number }[]}
+   */
+  getAssignmentHistory(conversationId: string): AssignmentPeriod[] {
+    const now = this.clock.now();
+    return (this.assignmentHistory.get(conversationId) || []).map((period) => ({
+      ...period,
+      durationMs: Math.max(0, (period.unassignedAt ?? now) - period.assignedAt),
+    }));
+  }
+
+  /**
+   * Returns the response times of a conversation and the state of its pending response against the SLA policy,
+   * at the current time of the store clock. Use the slaState filter and the 'slaDue' sort of getConversations
+   * to list the conversations that need attention.
+   *
+   * @param {string} conversationId
+   * @returns {ConversationSla | null} null if the conversation does not exist
+   */
+  getSla(conversationId: string): ConversationSla | null {
+    const conversation = this.conversations.get(conversationId);
+    return conversation ? this.computeConversationSla(conversation) : null;
+  }
+
+  private computeConversationSla(conversation: Conversation): ConversationSla {
+    const isActive =
+      conversation.status !== ConversationStatus.Closed && conversation.status !== ConversationStatus.Archived;
+    return computeSla(
+      conversation.id,
+      this.slaTimestamps.get(conversation.id) || createSlaTimestamps(),
+      this.slaPolicy,
+      this.clock.now(),
+      isActive
+    );
+  }
+
+  /**
+   * Counts the conversations of every tag, e.g. for the badges of a sidebar.
+   * Only the conversations matching the query are counted, by default the ones getConversations returns.
+   *
+   * @param {ConversationQuery} query optional filters, the paging is ignored
+   * @returns {Record<string, number>} the number of conversations by tag, a tag without conversations is absent
+   */
+  getTagCounts(query: ConversationQuery = {}): Record<string, number> {
+    const isVisible = createConversationFilter(query, this.getQueryContext());
+    const counts: Record<string, number> = {};
+
+    this.conversations.forEach((conversation) => {
+      if (isVisible(conversation)) {
+        (conversation.tags || []).forEach((tag) => {
+          counts[tag] = (counts[tag] || 0) + 1;
+        });
+      }
     });
+    return counts;
+  }
 
-    //Sort the conversations by lastUpdatedTimestamp in descending order
-    let sortedConversations = filteredUsers.sort((a: Conversation, b: Conversation) => {
-      return b.lastUpdatedTimestamp - a.lastUpdatedTimestamp;
+  /**
+   * Full-text search over the subjects and bodies of the messages, case and diacritic insensitive.
+   * Returns the ids of the matching conversations, the best match first, with a highlighted snippet.
+   * The results follow the same visibility rules (and the same filters) as getConversations.
+   *
+   * @param {string} text
+   * @param {ConversationQuery} query optional filters, limit is the maximum number of results
+   * @returns {{ conversationId: string, score: number, snippet: { text: string, highlights: object[] } }[]}
+   */
+  search(text: string, query: ConversationQuery = {}): SearchResult[] {
+    const isVisible = createConversationFilter(query, this.getQueryContext());
+    const terms = new Set(tokenize(text).map(({ term }) => term));
+
+    const results = this.searchIndex.search(text).filter(({ conversationId }) => {
+      const conversation = this.conversations.get(conversationId);
+      return conversation !== undefined && isVisible(conversation);
     });
 
-    return sortedConversations;
+    return results.slice(0, query.limit).map((match) => ({
+      conversationId: match.conversationId,
+      score: match.score,
+      snippet: this.getSearchSnippet(match, terms),
+    }));
+  }
+
+  private getQueryContext(): QueryContext {
+    return {
+      defaultExcludedAssignees: this.blackListedUsers,
+      defaultStatuses: [ConversationStatus.Open],
+      getMessages: (conversationId) => this.messages.get(conversationId) || [],
+      getUnreadCount: (conversationId, viewer) => this.getUnreadCount(conversationId, viewer),
+      getSla: (conversation) => this.computeConversationSla(conversation),
+      hasContent: (conversationId) => {
+        const events = this.eventLog.get(conversationId) || [];
+        return events.length === 0 || events.some(({ event }) => !metadataEventTypes.includes(event.type));
+      },
+    };
+  }
+
+  //The snippet comes from the most recent matching message, from its body unless only the subject matched
+  private getSearchSnippet(match: SearchMatch, terms: Set<string>): SearchSnippet {
+    const messages = this.messages.get(match.conversationId) || [];
+    const latestMatchingMessage = [...messages].reverse().find((message) => match.messageIds.has(message.id));
+    if (!latestMatchingMessage) {
+      return { text: '', highlights: [] };
+    }
+
+    const bodySnippet = buildSnippet(latestMatchingMessage.body, terms);
+    return bodySnippet.highlights.length > 0 ? bodySnippet : buildSnippet(latestMatchingMessage.subject, terms);
   }
 
   /**
@@ -67,113 +646,784 @@ export class Store {
    * }} event
    * @returns {void}
    */
-  handleEvent(event: ConversationEvent): void {
-    const { type, data } = event;
-    const { timestamp, conversationId, user, subject, body } = data;
+  handleEvent(event: AnyConversationEvent): void {
+    this.receiveEvent(event as ConversationEvent);
 
-    /*Type is handled in the switch case below.
-    Here we handle if timestamp and conversationId are missing in the event
-    User,subject and body are optional so no need to check for them
-    for now I am doing it in console.warn but in production we can use a logger or we can throw an error*/
-    if (!timestamp) {
-      console.warn('Event is missing a timestamp:', event);
+    if (!this.isHandlingBatch) {
+      this.notifyListeners();
+    }
+  }
+
+  /**
+   * Handles a batch of events, the subscribers are notified once with the combined change set.
+   *
+   * @param {ConversationEvent[]} events
+   * @returns {void}
+   */
+  handleEvents(events: readonly AnyConversationEvent[]): void {
+    this.isHandlingBatch = true;
+    try {
+      events.forEach((event) => this.receiveEvent(event as ConversationEvent));
+    } finally {
+      this.isHandlingBatch = false;
+    }
+
+    this.notifyListeners();
+  }
+
+  /**
+   * Registers the reducer of a new event type, e.g. store.registerEventHandler('priorityChanged', reducer).
+   * The events of that type go through the same validation, deduplication, ordering (late events are replayed)
+   * and change notifications as the built-in types. Rejected events of that type can be retried after registering.
+   *
+   * @param {string} type the event type, it can not be one of the built-in types
+   * @param {EventReducer} reducer changes the conversation in place, it is called again when the event log is replayed
+   * @param {EventSchema} schema the fields of the data, timestamp and conversationId are always required
+   * @returns {() => void} function to unregister the handler
+   */
+  registerEventHandler(type: string, reducer: EventReducer, schema: EventSchema = {}): () => void {
+    if (Object.prototype.hasOwnProperty.call(eventSchemas, type)) {
+      throw new Error(`The built-in event type ${type} can not be replaced`);
+    }
+    if (this.eventHandlers.has(type)) {
+      throw new Error(`A handler is already registered for the event type ${type}`);
+    }
+
+    this.eventHandlers.set(type, reducer);
+    this.eventSchemas[type] = { ...schema, ...baseSchema };
+
+    return () => {
+      if (this.eventHandlers.get(type) === reducer) {
+        this.eventHandlers.delete(type);
+        delete this.eventSchemas[type];
+      }
+    };
+  }
+
+  /**
+   * Subscribes to the changes of the visible conversation list (the one returned by getConversations).
+   * The listener is called with the added, updated, removed and moved conversations after every change.
+   *
+   * @param {(changeSet: ConversationChangeSet) => void} listener
+   * @returns {() => void} function to unsubscribe the listener
+   */
+  subscribe(listener: ChangeListener): () => void {
+    if (this.listeners.length === 0) {
+      //Nobody was listening so the previous copy can be outdated, start diffing from the current list
+      this.visibleConversations = this.copyVisibleConversations();
+    }
+    this.listeners.push(listener);
+
+    return () => {
+      const index = this.listeners.indexOf(listener);
+      if (index !== -1) {
+        this.listeners.splice(index, 1);
+      }
+    };
+  }
+
+  private copyVisibleConversations(): Conversation[] {
+    return this.getConversations().map((conversation) => ({ ...conversation }));
+  }
+
+  private notifyListeners(): void {
+    if (this.listeners.length === 0) {
+      return;
+    }
+
+    const current = this.copyVisibleConversations();
+    const changeSet = diffConversations(this.visibleConversations, current, (conversationId) =>
+      this.conversations.has(conversationId)
+    );
+    this.visibleConversations = current;
+
+    if (isEmptyChangeSet(changeSet)) {
+      return;
+    }
+
+    //Copy of the listeners as a listener can unsubscribe while being notified
+    [...this.listeners].forEach((listener) => {
+      try {
+        listener(changeSet);
+      } catch (error) {
+        console.error(error);
+      }
+    });
+  }
+
+  /**
+   * Returns the events that were rejected because they did not match the schema of their type, oldest first.
+   *
+   * @returns {readonly DeadLetter[]}
+   */
+  getDeadLetters(): readonly DeadLetter[] {
+    return this.deadLetters.getEntries();
+  }
+
+  getRejectedEventCount(): number {
+    return this.deadLetters.size;
+  }
+
+  //Number of events dropped because they were already processed
+  getDuplicateEventCount(): number {
+    return this.duplicateEventCount;
+  }
+
+  /**
+   * Handles the rejected events again, the ones that are still rejected stay in the queue.
+   * The subscribers are notified once for all the events that were accepted.
+   *
+   * @param {(entry: DeadLetter) => boolean} predicate only the matching entries are retried, all of them by default
+   * @returns {{ accepted: number, rejected: number }}
+   */
+  retryDeadLetters(predicate?: (entry: DeadLetter) => boolean): { accepted: number; rejected: number } {
+    this.isHandlingBatch = true;
+    try {
+      return this.deadLetters.retry((event) => this.processEvent(event as ConversationEvent), predicate);
+    } finally {
+      this.isHandlingBatch = false;
+      this.notifyListeners();
+    }
+  }
+
+  /**
+   * Removes the rejected events from the queue and returns them, e.g. to report them to the server.
+   *
+   * @returns {DeadLetter[]}
+   */
+  drainDeadLetters(): DeadLetter[] {
+    return this.deadLetters.drain();
+  }
+
+  /**
+   * Assigns the conversation to the user. The change is applied at once and the event is sent to the server,
+   * the conversation counts the command as pending until the server echoes the event back.
+   *
+   * @param {string} conversationId
+   * @param {string} user
+   * @returns {string} the id of the command, the eventId of the event sent
+   */
+  assign(conversationId: string, user: string): string {
+    return this.sendCommand(EventType.Assigned, { conversationId, user });
+  }
+
+  /**
+   * Unassigns the conversation, see assign.
+   *
+   * @param {string} conversationId
+   * @returns {string} the id of the command
+   */
+  unassign(conversationId: string): string {
+    const assignedUser = this.conversations.get(conversationId)?.assignedUser;
+    return this.sendCommand(EventType.Unassigned, { conversationId, ...(assignedUser ? { user: assignedUser } : {}) });
+  }
+
+  /**
+   * Replies in the conversation as the currentUser of the options, see assign.
+   * Without a currentUser it throws, a message without a user would be taken for a message of the customer.
+   *
+   * @param {string} conversationId
+   * @param {string} subject
+   * @param {string} body
+   * @returns {string} the id of the command
+   */
+  sendMessage(conversationId: string, subject: string, body: string): string {
+    if (!this.currentUser) {
+      throw new Error('The store has no currentUser to send the message as, see StoreOptions.currentUser');
+    }
+    return this.sendCommand(EventType.MessageReceived, { conversationId, subject, body, user: this.currentUser });
+  }
+
+  /**
+   * Returns the pending and failed commands, oldest first.
+   *
+   * @param {string} conversationId only the commands of this conversation, all of them by default
+   * @returns {OutgoingCommand[]}
+   */
+  getCommands(conversationId?: string): OutgoingCommand[] {
+    return Array.from(this.commands.values())
+      .filter(({ event }) => conversationId === undefined || event.data.conversationId === conversationId)
+      .map((command) => ({ ...command }));
+  }
+
+  /**
+   * Applies and sends a failed command again, with the same eventId so the server can tell it is the same command.
+   *
+   * @param {string} commandId
+   * @returns {void}
+   */
+  retryCommand(commandId: string): void {
+    const command = this.commands.get(commandId);
+    if (!command || command.status !== CommandStatus.Failed) {
+      throw new Error(`No failed command ${commandId}`);
+    }
+    command.status = CommandStatus.Pending;
+    command.error = null;
+    this.applyCommand(command);
+  }
+
+  /**
+   * Forgets a failed command, its change was already rolled back.
+   *
+   * @param {string} commandId
+   * @returns {void}
+   */
+  discardCommand(commandId: string): void {
+    const command = this.commands.get(commandId);
+    if (!command || command.status !== CommandStatus.Failed) {
+      throw new Error(`No failed command ${commandId}`);
+    }
+    this.commands.delete(commandId);
+    this.updateCommandCounts(command.event.data.conversationId);
+    this.notifyListeners();
+  }
+
+  private sendCommand(type: EventTypeKeys, data: Omit<EventData, 'timestamp'>): string {
+    if (!this.sender) {
+      throw new Error('The store has no sender to send the command, see StoreOptions.sender');
+    }
+    if (!this.conversations.has(data.conversationId)) {
+      throw new Error(`Unknown conversation ${data.conversationId}`);
+    }
+
+    const event: ConversationEvent = {
+      type,
+      eventId: createCommandId(),
+      data: { ...data, timestamp: this.clock.now() },
+    };
+    const rejection = validateEvent(event, this.eventSchemas);
+    if (rejection) {
+      throw new Error(rejection.message);
+    }
+
+    const command: OutgoingCommand = { id: event.eventId as string, event, status: CommandStatus.Pending, error: null };
+    this.commands.set(command.id, command);
+    this.applyCommand(command);
+    return command.id;
+  }
+
+  //Applies the event of a pending command like a received event, then sends it
+  private applyCommand(command: OutgoingCommand): void {
+    this.processEvent(command.event, true);
+    this.updateCommandCounts(command.event.data.conversationId);
+    this.notifyListeners();
+
+    if (this.commandTimeoutMs !== null) {
+      this.commandTimers.set(
+        command.id,
+        setTimeout(() => this.failCommand(command.id, 'The server did not confirm it in time'), this.commandTimeoutMs)
+      );
+    }
+
+    //The sender can fail at once or later
+    try {
+      Promise.resolve((this.sender as EventSender).send(command.event)).catch((error) =>
+        this.failCommand(command.id, getErrorMessage(error))
+      );
+    } catch (error) {
+      this.failCommand(command.id, getErrorMessage(error));
+    }
+  }
+
+  //Rolls back the change of a pending command, the command stays in the list as failed
+  private failCommand(commandId: string, error: string): void {
+    const command = this.commands.get(commandId);
+    if (!command || command.status !== CommandStatus.Pending) {
       return;
     }
-    if (!conversationId) {
-      console.warn('Event is missing a conversationId:', event);
+    clearTimeout(this.commandTimers.get(commandId));
+    this.commandTimers.delete(commandId);
+
+    command.status = CommandStatus.Failed;
+    command.error = error;
+    this.removeCommandEvent(command);
+    this.updateCommandCounts(command.event.data.conversationId);
+    if (!this.isHandlingBatch) {
+      this.notifyListeners();
+    }
+  }
+
+  /*The echo of the server (or a late echo of a command that failed) replaces the event of the command,
+  the server may have changed it, e.g. its timestamp */
+  private settleCommand(command: OutgoingCommand): void {
+    clearTimeout(this.commandTimers.get(command.id));
+    this.commandTimers.delete(command.id);
+    this.commands.delete(command.id);
+
+    if (command.status === CommandStatus.Pending) {
+      this.removeCommandEvent(command);
+    }
+    this.updateCommandCounts(command.event.data.conversationId);
+  }
+
+  private removeCommandEvent({ id, event }: OutgoingCommand): void {
+    const { conversationId } = event.data;
+    const conversationEvents = this.eventLog.get(conversationId) || [];
+    const index = conversationEvents.findIndex((loggedEvent) => loggedEvent.id === id);
+    if (index === -1) {
       return;
     }
 
-    /*If we get this particalar convesation in the conversations map
-    then we ccheck if the timestamp is greater than the lastUpdatedTimestamp
-    only If it is greater then we can update the conversation else we can ignore the event*/
-    let conversation = this.conversations.get(conversationId);
-    if (conversation && conversation.id === conversationId && conversation.lastUpdatedTimestamp > timestamp) {
+    conversationEvents.splice(index, 1);
+    this.uniqueEvents.delete(id);
+    const message = (this.messages.get(conversationId) || []).find((existingMessage) => existingMessage.id === id);
+    if (message) {
+      this.searchIndex.removeMessage(message);
+    }
+    this.rebuildConversation(conversationId);
+  }
+
+  private updateCommandCounts(conversationId: string): void {
+    const conversation = this.conversations.get(conversationId);
+    if (!conversation) {
       return;
     }
+    conversation.pendingCommandCount = 0;
+    conversation.failedCommandCount = 0;
+    this.commands.forEach(({ event, status }) => {
+      if (event.data.conversationId === conversationId) {
+        if (status === CommandStatus.Pending) {
+          conversation.pendingCommandCount++;
+        } else {
+          conversation.failedCommandCount++;
+        }
+      }
+    });
+  }
 
-    /*Create a unique event ID based on the conversationId and timestamp.
-     Instead of modifying this.conversations map let us create a new uniqueEvents set*/
-    const eventId = `${conversationId}-${timestamp}`;
-    if (this.uniqueEvents.has(eventId)) {
+  private receiveEvent(event: ConversationEvent): void {
+    const rejection = this.processEvent(event);
+    if (rejection) {
+      this.deadLetters.add(event, rejection);
+    }
+  }
+
+  /*Returns why the event was rejected, or null if it was applied or dropped as a duplicate.
+  isCommand is true when the event of a command of this client is applied,
+  any other event with the eventId of a command is the echo of the server */
+  private processEvent(event: ConversationEvent, isCommand = false): EventRejection | null {
+    /*Every event is validated against the declared schema of its type: missing timestamp, conversationId or user,
+    fields of the wrong type and unknown types are rejected before they can corrupt the state.
+    for now I am doing it in console.warn but in production we can use a logger or we can throw an error*/
+    const rejection = validateEvent(event, this.eventSchemas);
+    if (rejection) {
+      if (rejection.reason === RejectionReason.UnknownEventType) {
+        console.warn('Unknown event type:', event.type);
+      } else if (rejection.reason === RejectionReason.MissingField) {
+        console.warn(`Event is missing a ${rejection.field}:`, event);
+      } else {
+        console.warn(`${rejection.message}:`, event);
+      }
+      return rejection;
+    }
+
+    const { timestamp, conversationId } = event.data;
+
+    const command = event.eventId ? this.commands.get(event.eventId) : undefined;
+    if (command && !isCommand) {
+      this.settleCommand(command);
+    }
+
+    /*The server eventId, or a key made of the conversationId, the timestamp and a hash of the content.
+     Two different events of a conversation in the same millisecond are not mistaken for duplicates */
+    const eventId = getEventKey(event);
+    /*The deduplicator forgets the oldest keys, but the event log keeps every applied event.
+    An event whose key was forgotten is still a duplicate if it is in the log */
+    const isLogged = hasItemWithId(this.eventLog.get(conversationId) || [], eventId, timestamp);
+    if (this.uniqueEvents.has(eventId) || isLogged) {
       /* Event may be received more than once.
        This means the application can receive an event that has all the same values
        (including timestamp) as a previously received event.*/
       console.log('Event already processed:', eventId);
-      return;
+      this.uniqueEvents.add(eventId);
+      this.duplicateEventCount++;
+      return null;
     }
 
     this.uniqueEvents.add(eventId);
 
-    if (!conversation) {
+    if (!this.conversations.has(conversationId)) {
       this.conversations.set(conversationId, {
         id: conversationId,
         ...defaultConversation,
       });
     }
-    conversation = this.conversations.get(conversationId) as Conversation;
+    const conversation = this.conversations.get(conversationId) as Conversation;
+
+    /*Events may be received in a different order than the order in which they happened.
+    An event older than the last applied one can not simply be applied on top of the current state,
+    so after the event is logged the conversation is recomputed from its whole event log.
+    The log is used rather than lastUpdatedTimestamp, the tag events do not update it but their order matters */
+    const loggedEvents = this.eventLog.get(conversationId) || [];
+    const isLateEvent = loggedEvents.length > 0 && loggedEvents[loggedEvents.length - 1].timestamp > timestamp;
+
+    if (!this.applyEvent(conversation, event, eventId)) {
+      /* If the event type is not found
+      then we can remove the eventId from the uniqueEvents set and conversations map */
+      this.uniqueEvents.delete(eventId);
+      this.isConversationEmptyThenRemove(conversationId);
+      return { reason: RejectionReason.UnknownEventType, message: `Unknown event type: ${event.type}` };
+    }
+
+    const conversationEvents = this.eventLog.get(conversationId) || [];
+    insertSorted(conversationEvents, { id: eventId, timestamp, event });
+    this.eventLog.set(conversationId, conversationEvents);
+
+    if (isLateEvent) {
+      this.rebuildConversation(conversationId);
+    }
+
+    if (event.type === EventType.TypingStarted && event.data.user) {
+      this.scheduleTypingExpiry(conversationId, event.data.user, [eventId]);
+    }
+
+    //The status may have changed, also when a late event was replayed
+    this.scheduleSnoozeExpiry(conversation);
+
+    return null;
+  }
+
+  /*typingStopped is often never received, so a typing indicator expires typingTtlMs after the last typingStarted
+  of the user. Another typingStarted of the same user restarts the timer */
+  private scheduleTypingExpiry(conversationId: string, user: string, eventIds: string[]): void {
+    if (this.typingTtlMs === null) {
+      return;
+    }
+
+    const key = `${conversationId}-${user}`;
+    const previousTimer = this.typingTimers.get(key);
+    if (previousTimer) {
+      clearTimeout(previousTimer.timeout);
+    }
+
+    this.typingTimers.set(key, {
+      timeout: setTimeout(() => this.expireTyping(key, conversationId, user), this.typingTtlMs),
+      eventIds: [...(previousTimer ? previousTimer.eventIds : []), ...eventIds],
+    });
+  }
+
+  private expireTyping(key: string, conversationId: string, user: string): void {
+    const timer = this.typingTimers.get(key);
+    this.typingTimers.delete(key);
+    //Remember the expired events so that replaying the event log does not bring the indicator back
+    timer?.eventIds.forEach((eventId) => this.expiredTypingEvents.add(eventId));
+
+    const conversation = this.conversations.get(conversationId);
+    if (!conversation || !this.typingUsers.get(conversationId)?.has(user)) {
+      return;
+    }
+
+    //When the last indicator expires the blurb falls back to the latest message body
+    conversation.blurb = this.deleteBlurbForTypingUsers(conversationId, conversation, user);
+    this.notifyListeners();
+  }
+
+  /*A snoozed conversation opens again by itself at snoozedUntil.
+  The timer of a conversation that is not snoozed (anymore) is cancelled */
+  private scheduleSnoozeExpiry(conversation: Conversation): void {
+    clearTimeout(this.snoozeTimers.get(conversation.id));
+    this.snoozeTimers.delete(conversation.id);
+
+    if (conversation.status !== ConversationStatus.Snoozed || conversation.snoozedUntil === null) {
+      return;
+    }
+
+    const delay = conversation.snoozedUntil - this.clock.now();
+    if (delay <= 0) {
+      this.endSnooze(conversation);
+      return;
+    }
+
+    const wakeUp = () => {
+      this.snoozeTimers.delete(conversation.id);
+      if (delay > maxTimeoutMs) {
+        this.scheduleSnoozeExpiry(conversation);
+      } else if (this.endSnooze(conversation)) {
+        this.notifyListeners();
+      }
+    };
+    this.snoozeTimers.set(conversation.id, setTimeout(wakeUp, Math.min(delay, maxTimeoutMs)));
+  }
+
+  //Returns true if the conversation was still snoozed and is open now
+  private endSnooze(conversation: Conversation): boolean {
+    if (conversation.status !== ConversationStatus.Snoozed) {
+      return false;
+    }
+    conversation.status = ConversationStatus.Open;
+    conversation.snoozedUntil = null;
+    return true;
+  }
+
+  /**
+   * Applies a single event on top of the current state of the conversation.
+   * This is the only place where the event types are interpreted, both for new events and for replaying the event log.
+   *
+   * @returns {boolean} false if the event type is unknown and nothing was changed
+   */
+  private applyEvent(conversation: Conversation, event: ConversationEvent, eventId: string): boolean {
+    const { type, data } = event;
+    const { timestamp, conversationId, user, subject, body, until, upTo, tag } = data;
 
     switch (type) {
       case EventType.MessageReceived:
-        /*If the subject is not provided, it will be set to the previous subject
-        The subject of the most recent message of the conversation or the subject of the conversation if not provided*/
-        conversation.subject = subject || conversation.subject;
-        /* conversation.blurb = (body || conversation.blurb).slice(0, 256);
-        We increment the message count by 1 for this conversation*/
-        conversation.messageCount += 1;
-
-        if (!this.typingUsers.has(conversationId) || this.typingUsers.get(conversationId)?.size === 0) {
-          //If no users are typing, the first 256 characters of the body of the most recent message
-          conversation.blurb = body?.slice(0, 256) || conversation.blurb;
+        //A user who sent a message is not typing anymore
+        if (user) {
+          this.typingUsers.get(conversationId)?.delete(user);
+        }
+        //A message of a user is the response of an agent, a message without a user comes from the customer
+        if (user) {
+          recordResponse(this.getSlaTimestamps(conversationId), timestamp);
         } else {
-          this.lastBody.set(conversationId, body || '');
+          recordInboundMessage(this.getSlaTimestamps(conversationId), timestamp);
         }
-
+        //The message is kept in the history and the conversation fields are derived from it
+        this.addMessage({
+          id: eventId,
+          conversationId,
+          subject: subject || '',
+          body: body || '',
+          timestamp,
+          user: user || null,
+        });
+        this.updateConversationFromMessages(conversation);
         break;
 
       case EventType.Assigned:
         /*The conversation was assigned to the specified user
         Name of the user assigned to the conversation, or null if the conversation is not assigned*/
         conversation.assignedUser = user || null;
+        recordAssignment(this.getSlaTimestamps(conversationId), timestamp);
+        this.recordAssignmentPeriod(conversationId, user || null, timestamp);
         break;
 
       case EventType.Unassigned:
         //The conversation is unassigned from the specified user
         conversation.assignedUser = null;
+        recordUnassignment(this.getSlaTimestamps(conversationId));
+        this.recordAssignmentPeriod(conversationId, null, timestamp);
         break;
 
       case EventType.TypingStarted:
-        conversation.blurb = this.addAndgetBlurbForTypingUsers(conversationId, user);
+        if (!this.expiredTypingEvents.has(eventId)) {
+          conversation.blurb = this.addAndgetBlurbForTypingUsers(conversationId, user);
+        }
         break;
 
       case EventType.TypingStopped:
         conversation.blurb = this.deleteBlurbForTypingUsers(conversationId, conversation, user);
         break;
 
+      case EventType.ConversationClosed:
+        conversation.status = ConversationStatus.Closed;
+        conversation.snoozedUntil = null;
+        break;
+
+      case EventType.ConversationReopened:
+        conversation.status = ConversationStatus.Open;
+        conversation.snoozedUntil = null;
+        break;
+
+      case EventType.ConversationSnoozed:
+        //A snooze that already ended when it is applied (e.g. on a replay) leaves the conversation open
+        if (until && until > this.clock.now()) {
+          conversation.status = ConversationStatus.Snoozed;
+          conversation.snoozedUntil = until;
+        } else {
+          conversation.status = ConversationStatus.Open;
+          conversation.snoozedUntil = null;
+        }
+        break;
+
+      case EventType.ConversationArchived:
+        conversation.status = ConversationStatus.Archived;
+        conversation.snoozedUntil = null;
+        break;
+
+      case EventType.ConversationRead:
+        if (user && upTo) {
+          //The furthest position wins, so reading an older part of the thread again does not mark messages unread
+          const positions = this.readPositions.get(conversationId) || new Map<string, number>();
+          positions.set(user, Math.max(positions.get(user) || 0, upTo));
+          this.readPositions.set(conversationId, positions);
+        }
+        //Reading a conversation is not an update of the conversation, it keeps its place in the list
+        return true;
+
+      case EventType.TagAdded:
+        //Adding a tag twice is a no-op, the array is replaced so the change is seen by the listeners
+        if (tag && !conversation.tags.includes(tag)) {
+          conversation.tags = [...conversation.tags, tag].sort();
+        }
+        //Like reading, tagging a conversation is not an update of the conversation, it keeps its place in the list
+        return true;
+
+      case EventType.TagRemoved:
+        conversation.tags = conversation.tags.filter((existingTag) => existingTag !== tag);
+        return true;
+
       default:
         /* The application can receive an event type that is not listed above.
-         If all cases are handled above then 'type' should be 'never' here */
+         If all cases are handled above then 'type' should be 'never' here, this only checks it at compile time.
+         The only types left are the ones registered with registerEventHandler, looked up by the type of the event */
         const typeNotExists: never = type;
-        console.warn('Unknown event type:', typeNotExists);
-        /* If the event type is not found
-        then we can remove the eventId from the uniqueEvents set and conversations map */
-        this.uniqueEvents.delete(eventId);
-        conversation = undefined;
-        this.isConversationEmptyThenRemove(conversationId);
+        const reducer = this.eventHandlers.get(event.type);
+        if (!reducer) {
+          console.warn('Unknown event type:', event.type);
+          return false;
+        }
+        reducer(conversation, event as CustomConversationEvent);
+        break;
+    }
+
+    //Timestamp is added for each event if not then it is caught at the top of processEvent
+    conversation.lastUpdatedTimestamp = Math.max(conversation.lastUpdatedTimestamp, timestamp);
+    return true;
+  }
 
-        return;
+  /*Ends the current assignment, if any, and starts the one of the user (none when the user is null).
+  Assigning the conversation to the user who already owns it does not start a new period */
+  private recordAssignmentPeriod(conversationId: string, user: string | null, timestamp: number): void {
+    const periods = this.assignmentHistory.get(conversationId) || [];
+    const lastPeriod = periods[periods.length - 1];
+    const currentPeriod = lastPeriod && lastPeriod.unassignedAt === null ? lastPeriod : null;
+
+    if (currentPeriod && currentPeriod.user === user) {
+      return;
+    }
+    if (currentPeriod) {
+      currentPeriod.unassignedAt = timestamp;
     }
+    if (user) {
+      periods.push({ user, assignedAt: timestamp, unassignedAt: null });
+    }
+    this.assignmentHistory.set(conversationId, periods);
+  }
 
-    //Timestamp is added for each event if not then it is caught at the top of the function
-    conversation.lastUpdatedTimestamp = timestamp;
+  private getSlaTimestamps(conversationId: string): SlaTimestamps {
+    let timestamps = this.slaTimestamps.get(conversationId);
+    if (!timestamps) {
+      timestamps = createSlaTimestamps();
+      this.slaTimestamps.set(conversationId, timestamps);
+    }
+    return timestamps;
   }
 
-  getBlurbForTypingUsers(conversationId: string): string {
-    let typingUsers = Array.from(this.typingUsers.get(conversationId) || []);
-    if (typingUsers.length === 1) {
-      return `${typingUsers[0]} is replying...`;
+  /*Resets the derived state of the conversation and replays its event log in timestamp order.
+  The conversation object is reset in place so that references to it stay valid */
+  private rebuildConversation(conversationId: string): void {
+    const conversation = this.conversations.get(conversationId);
+    if (!conversation) {
+      return;
     }
-    return typingUsers.length > 1 ? `${typingUsers.join(', ')} are replying...` : '';
+
+    //The fields a registered reducer added are dropped too, the replay adds them back
+    Object.keys(conversation).forEach((key) => {
+      if (key !== 'id' && !(key in defaultConversation)) {
+        delete (conversation as Record<string, unknown>)[key];
+      }
+    });
+    Object.assign(conversation, defaultConversation);
+    this.messages.delete(conversationId);
+    this.typingUsers.delete(conversationId);
+    this.lastBody.delete(conversationId);
+    this.readPositions.delete(conversationId);
+    this.slaTimestamps.delete(conversationId);
+    this.assignmentHistory.delete(conversationId);
+
+    (this.eventLog.get(conversationId) || []).forEach(({ id, event }) => {
+      this.applyEvent(conversation, event, id);
+    });
+    this.updateCommandCounts(conversationId);
+  }
+
+  /**
+   * Returns a page of the message history of a conversation.
+   * Pages are returned from the newest to the oldest, the messages inside a page are in chronological order.
+   *
+   * @param {string} conversationId
+   * @param {{ before?: string, limit?: number }} options before is the nextCursor of the previous page
+   * @returns {{ messages: Message[], nextCursor: string | null }}
+   */
+  getMessages(
+    conversationId: string,
+    { before, limit = defaultMessagePageLimit }: MessagePageOptions = {}
+  ): MessagePage {
+    const messages = this.messages.get(conversationId) || [];
+
+    //Only the messages older than the cursor belong to this page
+    const end = before === undefined ? messages.length : getMessageCursorIndex(messages, before);
+    const start = Math.max(0, end - Math.max(0, limit));
+
+    return {
+      //sequence is the 1-based position of the message in the whole thread
+      messages: messages.slice(start, end).map((message, index) => ({ ...message, sequence: start + index + 1 })),
+      //A page of limit 0 is empty and has no oldest message to point to
+      nextCursor: start > 0 && start < end ? `${messages[start].timestamp}:${messages[start].id}` : null,
+    };
+  }
+
+  private addMessage(message: Message): void {
+    const messages = this.messages.get(message.conversationId) || [];
+    //Keep the history sorted by timestamp, a message with the same timestamp goes after the existing ones
+    insertSorted(messages, message);
+    this.messages.set(message.conversationId, messages);
+    //Replaying the event log adds the same messages again, the index ignores the ones it already has
+    this.searchIndex.addMessage(message);
+  }
+
+  /*messageCount, subject and blurb are not tracked separately, they are always derived from the message history
+  so they stay consistent with what getMessages returns */
+  private updateConversationFromMessages(conversation: Conversation): void {
+    const messages = this.messages.get(conversation.id) || [];
+    conversation.messageCount = messages.length;
+
+    const latestMessage = messages[messages.length - 1];
+    if (!latestMessage) {
+      return;
+    }
+
+    //A message without a subject keeps the subject of the previous message
+    const latestMessageWithSubject = [...messages].reverse().find((message) => message.subject);
+    conversation.subject = latestMessageWithSubject ? latestMessageWithSubject.subject : '';
+
+    //The body is kept so that the blurb can fall back to it once all users stop typing
+    this.lastBody.set(conversation.id, latestMessage.body);
+    if (this.getTypingUsers(conversation.id).length === 0) {
+      //If no users are typing, the plain text of the body of the most recent message
+      conversation.blurb = this.getBodyBlurb(conversation.id);
+    } else {
+      //The sender of the message may have been one of the typing users
+      conversation.blurb = this.getBlurbForTypingUsers(conversation.id);
+    }
+  }
+
+  //The blurb of the latest message body, the body itself is kept as it was received
+  private getBodyBlurb(conversationId: string): string {
+    return buildBlurb(this.lastBody.get(conversationId) || '', this.blurbOptions);
+  }
+
+  /**
+   * Returns the users typing a reply in the conversation, in the order they started typing.
+   * With excludeCurrentUserFromTyping the currentUser is left out.
+   *
+   * @param {string} conversationId
+   * @returns {string[]}
+   */
+  getTypingUsers(conversationId: string): string[] {
+    const typingUsers = Array.from(this.typingUsers.get(conversationId) || []);
+    return this.excludeCurrentUserFromTyping ? typingUsers.filter((user) => user !== this.currentUser) : typingUsers;
+  }
+
+  /**
+   * Returns the typing indicator of the conversation in the locale of StoreOptions.typingText,
+   * e.g. "Ann, Bob and 3 others are replying...". It is empty when nobody is typing.
+   *
+   * @param {string} conversationId
+   * @returns {string}
+   */
+  getBlurbForTypingUsers(conversationId: string): string {
+    return formatTypingText(this.getTypingUsers(conversationId), this.typingTextOptions);
   }
 
   addAndgetBlurbForTypingUsers(conversationId: string, user?: string): string {
@@ -181,7 +1431,8 @@ export class Store {
     if (user) {
       this.typingUsers.set(conversationId, typingUser.add(user));
     }
-    return this.getBlurbForTypingUsers(conversationId);
+    //The current user may be the only one typing and not be shown
+    return this.getBlurbForTypingUsers(conversationId) || this.getBodyBlurb(conversationId);
   }
 
   deleteBlurbForTypingUsers(conversationId: string, conversation: Conversation, user?: string) {
@@ -193,16 +1444,13 @@ export class Store {
       }
       if (this.typingUsers.get(conversationId)?.size === 0) {
         this.typingUsers.delete(conversationId);
-        return this.lastBody.get(conversationId) || '';
+        return this.getBodyBlurb(conversationId);
       } else {
-        let typingUsers = Array.from(this.typingUsers.get(conversationId) || []);
-        if (typingUsers.length === 1) {
-          return `${typingUsers[0]} is replying...`;
-        }
-        return typingUsers.length > 1 ? `${typingUsers.join(', ')} are replying...` : '';
+        return this.getBlurbForTypingUsers(conversationId) || this.getBodyBlurb(conversationId);
       }
     }
-    return '';
+    //Nobody was typing anymore, e.g. a typingStopped received after the indicator expired
+    return this.getBodyBlurb(conversationId);
   }
 
   isConversationEmptyThenRemove(conversationId: string): boolean {
@@ -216,7 +1464,7 @@ export class Store {
       // Use keyof Conversation to type the key
       return (
         key === 'id' ||
-        conversation[key as keyof Conversation] === defaultConversation[key as keyof Omit<Conversation, 'id'>]
+        isSameValue(conversation[key as keyof Conversation], defaultConversation[key as keyof Omit<Conversation, 'id'>])
       );
     });
 
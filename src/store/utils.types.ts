@@ -1,3 +1,18 @@
+import { BlurbOptions } from './blurb';
+import { Clock } from './clock';
+import { DeduplicatorOptions } from './deduplicator';
+import { TypingTextOptions } from './messageFormat';
+
+export const ConversationStatus = {
+  Open: 'open',
+  Closed: 'closed',
+  //Hidden until snoozedUntil, then it is open again
+  Snoozed: 'snoozed',
+  Archived: 'archived',
+} as const;
+
+export type ConversationStatusKeys = (typeof ConversationStatus)[keyof typeof ConversationStatus];
+
 export type Conversation = {
   id: string;
   assignedUser: string | null;
@@ -5,6 +20,41 @@ export type Conversation = {
   blurb: string;
   messageCount: number;
   lastUpdatedTimestamp: number;
+  status: ConversationStatusKeys;
+  //Time (ms since epoch) at which a snoozed conversation opens again, null when it is not snoozed
+  snoozedUntil: number | null;
+  //Labels such as 'billing' or 'bug', sorted. The array is replaced, never changed in place
+  tags: readonly string[];
+  //Commands sent from this client (assign, unassign, sendMessage) that the server did not echo back yet
+  pendingCommandCount: number;
+  //Commands that failed and were rolled back, they can be retried or discarded
+  failedCommandCount: number;
+};
+
+/* A single message of a conversation thread as it was received in a messageReceived event.
+The id is the same unique event id that is used for deduplication */
+export type Message = {
+  id: string;
+  conversationId: string;
+  subject: string;
+  body: string;
+  timestamp: number;
+  //The agent who wrote the message, null for a message of the customer
+  user: string | null;
+};
+
+export type MessagePageOptions = {
+  //Cursor returned as nextCursor by the previous page, only messages older than it are returned
+  before?: string;
+  limit?: number;
+};
+
+export type MessagePage = {
+  //Messages of the page in chronological order, the oldest message first
+  messages: (Message & { sequence: number })[];
+  /*Pass it as before to get the previous (older) page, null if there are no older messages.
+  It is the timestamp and the id of the oldest message of the page, several messages can have the same timestamp */
+  nextCursor: string | null;
 };
 
 export type EventData = {
@@ -13,6 +63,12 @@ export type EventData = {
   user?: string;
   subject?: string;
   body?: string;
+  //End of the snooze of a conversationSnoozed event
+  until?: number;
+  //The messages up to this timestamp (included) were read by the user of a conversationRead event
+  upTo?: number;
+  //Label of a tagAdded or tagRemoved event
+  tag?: string;
 };
 
 // I try to avoid using the enums as it has some drawbacks.prefer to use const assertions
@@ -22,19 +78,250 @@ export const EventType = {
   Unassigned: 'unassigned',
   TypingStarted: 'typingStarted',
   TypingStopped: 'typingStopped',
+  ConversationClosed: 'conversationClosed',
+  ConversationReopened: 'conversationReopened',
+  ConversationSnoozed: 'conversationSnoozed',
+  ConversationArchived: 'conversationArchived',
+  ConversationRead: 'conversationRead',
+  TagAdded: 'tagAdded',
+  TagRemoved: 'tagRemoved',
 } as const;
 
 export type EventTypeKeys = (typeof EventType)[keyof typeof EventType];
 
 export type ConversationEvent = {
   type: EventTypeKeys;
+  //Unique id given by the server, the events without it are deduplicated by their content
+  eventId?: string;
   data: EventData;
 };
 
+export const ConversationSort = {
+  //Most recently updated first
+  LastUpdated: 'lastUpdated',
+  UnreadFirst: 'unreadFirst',
+  //The conversations whose pending response is due first, the ones without a pending response last
+  SlaDue: 'slaDue',
+} as const;
+
+export type ConversationSortKeys = (typeof ConversationSort)[keyof typeof ConversationSort];
+
+/* Filters and paging of Store#getConversations, every filter is optional.
+assignee is a user name, 'unassigned' or 'mine' (the conversations assigned to the viewer) */
+export type ConversationQuery = {
+  assignee?: string;
+  viewer?: string;
+  //Case insensitive text that has to appear in the subject or in the subject/body of a message
+  text?: string;
+  updatedAfter?: number;
+  updatedBefore?: number;
+  minMessageCount?: number;
+  //One status or several, by default only the open conversations are returned
+  status?: ConversationStatusKeys | ConversationStatusKeys[];
+  //The conversation has to have every one of these tags
+  tags?: string[];
+  //One SLA state or several, e.g. ['atRisk', 'breached'] for the conversations that need attention
+  slaState?: SlaStateKeys | SlaStateKeys[];
+  //Overrides the default policy of the Store (the blacklisted users), [] shows every conversation
+  excludedAssignees?: string[];
+  offset?: number;
+  limit?: number;
+  //nextCursor of the previous page, takes precedence over offset
+  cursor?: string;
+  //'unreadFirst' puts the conversations with unread messages for the viewer first, it needs the viewer
+  sort?: ConversationSortKeys;
+};
+
+export type ConversationPage = {
+  conversations: Conversation[];
+  //Number of conversations matching the filters, on all the pages
+  total: number;
+  nextCursor: string | null;
+};
+
+export type SearchSnippet = {
+  text: string;
+  //Offsets of the matched terms in the snippet text, end is exclusive
+  highlights: { start: number; end: number }[];
+};
+
+export type SearchResult = {
+  conversationId: string;
+  score: number;
+  snippet: SearchSnippet;
+};
+
+//One period during which a user owned a conversation, the times are the timestamps of the events
+export type AssignmentPeriod = {
+  user: string;
+  assignedAt: number;
+  //null while the user still owns the conversation
+  unassignedAt: number | null;
+  //Until now (the store clock) for the current assignment
+  durationMs: number;
+};
+
+export type SlaPolicy = {
+  //Maximum wait for the first response of an agent, from the first inbound message
+  firstResponseMs: number;
+  //Maximum wait for the next responses, from the oldest unanswered inbound message
+  nextResponseMs: number;
+  //Share of the threshold after which a pending response is at risk, e.g. 0.75
+  atRiskRatio: number;
+};
+
+export const SlaState = {
+  Ok: 'ok',
+  AtRisk: 'atRisk',
+  Breached: 'breached',
+} as const;
+
+export type SlaStateKeys = (typeof SlaState)[keyof typeof SlaState];
+
+//The durations are in ms, null when the moment they are measured from or to did not happen yet
+export type ConversationSla = {
+  conversationId: string;
+  //State of the pending response, ok when nothing is awaiting a response
+  state: SlaStateKeys;
+  timeToFirstResponseMs: number | null;
+  timeSinceLastInboundMs: number | null;
+  timeToFirstAssignmentMs: number | null;
+  //Start of the current assignment, null while the conversation is unassigned
+  assignedAt: number | null;
+  //Oldest unanswered inbound message, null when there is nothing to answer
+  awaitingResponseSince: number | null;
+  //When the pending response breaches the SLA
+  dueAt: number | null;
+  //The first response came (or is still awaited) firstResponseMs or more after the first inbound message
+  isFirstResponseBreached: boolean;
+};
+
+export type StoreOptions = {
+  //Conversations assigned to these users are hidden unless a query overrides it
+  blackListedUsers?: string[];
+  //Milliseconds after which a typing indicator expires without typingStopped, null disables the expiry
+  typingTtlMs?: number | null;
+  //Thresholds of the SLA, the missing ones keep their default
+  slaPolicy?: Partial<SlaPolicy>;
+  //Current time of the time-based state (SLA, snooze, deduplication window), the system clock by default
+  clock?: Clock;
+  //How many processed events are remembered to drop their duplicates
+  deduplication?: DeduplicatorOptions;
+  //Where the commands (assign, unassign, sendMessage) are sent, e.g. the socket. Without it the commands throw
+  sender?: EventSender;
+  //Milliseconds after which a command the server did not echo back fails, null waits forever
+  commandTimeoutMs?: number | null;
+  //The agent using the app, the author of the messages sent with sendMessage
+  currentUser?: string;
+  //How the blurb is built from the body of the latest message, the missing options keep their default
+  blurb?: BlurbOptions;
+  //Locale, messages and condensing of the typing indicator
+  typingText?: TypingTextOptions;
+  //The currentUser does not see their own typing indicator
+  excludeCurrentUserFromTyping?: boolean;
+};
+
+//Sends an event to the server, a rejected promise (or an exception) makes the command fail
+export interface EventSender {
+  send(event: ConversationEvent): void | Promise<void>;
+}
+
+export const CommandStatus = {
+  //Applied optimistically, waiting for the echo of the server
+  Pending: 'pending',
+  //Could not be sent or was not echoed in time, its change was rolled back
+  Failed: 'failed',
+} as const;
+
+export type CommandStatusKeys = (typeof CommandStatus)[keyof typeof CommandStatus];
+
+/* An event sent by this client. Its eventId is generated by the client and the server echoes the event back
+with the same eventId, which is how the echo is matched to the command */
+export type OutgoingCommand = {
+  //The eventId of the event
+  id: string;
+  event: ConversationEvent;
+  status: CommandStatusKeys;
+  //Why the command failed, null while it is pending
+  error: string | null;
+};
+
+/* The change set passed to the Store subscribers, describing how the visible conversation list changed.
+added and moved carry the indexes in the sorted list so a view can patch the DOM instead of re-rendering */
+export type ConversationChangeSet = {
+  added: { conversation: Conversation; index: number }[];
+  //Only the fields that changed, with their new values
+  updated: { id: string; changes: Partial<Conversation> }[];
+  //hidden means the conversation still exists but it is filtered out of the list, e.g. assigned to John_Doe
+  removed: { id: string; reason: 'removed' | 'hidden' }[];
+  moved: { id: string; from: number; to: number }[];
+};
+
+export type ChangeListener = (changeSet: ConversationChangeSet) => void;
+
+//An accepted event as it is kept in the event log of its conversation, sorted by timestamp
+export type LoggedEvent = {
+  id: string;
+  timestamp: number;
+  event: ConversationEvent;
+};
+
+export type FieldSchema = {
+  type: 'string' | 'number';
+  //A required field can not be missing, empty ('') or zero
+  required: boolean;
+};
+
+//The fields of the data of an event
+export type EventSchema = Record<string, FieldSchema>;
+
+export const RejectionReason = {
+  //Not an object with a string type and a data object
+  InvalidEvent: 'INVALID_EVENT',
+  UnknownEventType: 'UNKNOWN_EVENT_TYPE',
+  MissingField: 'MISSING_FIELD',
+  InvalidFieldType: 'INVALID_FIELD_TYPE',
+} as const;
+
+export type RejectionReasonKeys = (typeof RejectionReason)[keyof typeof RejectionReason];
+
+export type EventRejection = {
+  reason: RejectionReasonKeys;
+  //The field of the data that is missing or has the wrong type
+  field?: string;
+  message: string;
+};
+
+//A rejected event kept in the dead-letter queue
+export type DeadLetter = EventRejection & {
+  event: unknown;
+  rejectedAt: number;
+  //How many times the event was handled, 1 for an event that was never retried
+  attempts: number;
+};
+
+//An event of a type registered with Store#registerEventHandler, its data can carry any extra field
+export type CustomConversationEvent = {
+  type: string;
+  eventId?: string;
+  data: EventData & Record<string, unknown>;
+};
+
+export type AnyConversationEvent = ConversationEvent | CustomConversationEvent;
+
+/* Applies an event of a registered type to the conversation, by changing the conversation in place.
+It is called for new events and again when the event log is replayed, so it must only depend on its arguments */
+export type EventReducer = (conversation: Conversation, event: CustomConversationEvent) => void;
+
 export const defaultConversation: Omit<Conversation, 'id'> = {
   assignedUser: null,
   subject: '',
   blurb: '',
   messageCount: 0,
   lastUpdatedTimestamp: 0,
+  status: ConversationStatus.Open,
+  snoozedUntil: null,
+  tags: [],
+  pendingCommandCount: 0,
+  failedCommandCount: 0,
 };
@@ -0,0 +1,100 @@
+import { EventRejection, EventSchema, EventTypeKeys, RejectionReason } from './utils.types';
+
+//Every event has a timestamp and belongs to a conversation
+export const baseSchema: EventSchema = {
+  timestamp: { type: 'number', required: true },
+  conversationId: { type: 'string', required: true },
+};
+
+/*The declared data of every built-in event type. A field that is not declared is allowed and ignored,
+a declared field has to have the declared type even when it is optional */
+export const eventSchemas: Record<EventTypeKeys, EventSchema> = {
+  messageReceived: {
+    ...baseSchema,
+    subject: { type: 'string', required: false },
+    body: { type: 'string', required: false },
+    user: { type: 'string', required: false },
+  },
+  assigned: { ...baseSchema, user: { type: 'string', required: true } },
+  unassigned: { ...baseSchema, user: { type: 'string', required: false } },
+  typingStarted: { ...baseSchema, user: { type: 'string', required: true } },
+  typingStopped: { ...baseSchema, user: { type: 'string', required: true } },
+  //The user who changed the status is optional, the status can be changed by an automation
+  conversationClosed: { ...baseSchema, user: { type: 'string', required: false } },
+  conversationReopened: { ...baseSchema, user: { type: 'string', required: false } },
+  conversationSnoozed: {
+    ...baseSchema,
+    user: { type: 'string', required: false },
+    until: { type: 'number', required: true },
+  },
+  conversationArchived: { ...baseSchema, user: { type: 'string', required: false } },
+  conversationRead: {
+    ...baseSchema,
+    user: { type: 'string', required: true },
+    upTo: { type: 'number', required: true },
+  },
+  tagAdded: { ...baseSchema, tag: { type: 'string', required: true }, user: { type: 'string', required: false } },
+  tagRemoved: { ...baseSchema, tag: { type: 'string', required: true }, user: { type: 'string', required: false } },
+};
+
+function isObject(value: unknown): value is Record<string, unknown> {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/*An empty string or a zero timestamp is as good as missing,
+same as the !timestamp and !conversationId checks the store used to do */
+function isMissing(value: unknown): boolean {
+  return value === undefined || value === null || value === '' || value === 0;
+}
+
+/**
+ * Validates an event against the schema of its type.
+ *
+ * @param event anything received from the socket
+ * @param schemas the schema of every event type the store knows
+ * @returns null if the event is valid, otherwise why it was rejected
+ */
+export function validateEvent(event: unknown, schemas: Record<string, EventSchema>): EventRejection | null {
+  if (!isObject(event) || typeof event.type !== 'string' || !isObject(event.data)) {
+    return {
+      reason: RejectionReason.InvalidEvent,
+      message: 'The event must be an object with a string type and a data object',
+    };
+  }
+
+  if (event.eventId !== undefined && (typeof event.eventId !== 'string' || !event.eventId)) {
+    return {
+      reason: RejectionReason.InvalidFieldType,
+      field: 'eventId',
+      message: `The eventId of the event must be a non-empty string, got ${JSON.stringify(event.eventId)}`,
+    };
+  }
+
+  const schema = schemas[event.type];
+  if (!Object.prototype.hasOwnProperty.call(schemas, event.type) || !schema) {
+    return { reason: RejectionReason.UnknownEventType, message: `Unknown event type: ${event.type}` };
+  }
+
+  const data = event.data;
+  for (const field of Object.keys(schema)) {
+    const { type, required } = schema[field];
+    const value = data[field];
+
+    if (isMissing(value)) {
+      if (required) {
+        return { reason: RejectionReason.MissingField, field, message: `Event is missing a ${field}` };
+      }
+      continue;
+    }
+
+    if (typeof value !== type || (type === 'number' && !Number.isFinite(value))) {
+      return {
+        reason: RejectionReason.InvalidFieldType,
+        field,
+        message: `The ${field} of the event must be a ${type}, got ${JSON.stringify(value)}`,
+      };
+    }
+  }
+
+  return null;
+}
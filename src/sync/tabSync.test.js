@@ -0,0 +1,299 @@
+import { afterEach, beforeEach, describe, expect, vi, it } from 'vitest';
+import { Store } from '../store/store';
+import { FakeBroadcastChannel, getSnapshotEvents, TabRole, TabSync } from './tabSync';
+
+// Stand-in for Socket, the test pushes the events the server would send
+class FakeSocket {
+  constructor() {
+    this.isStreamingEvents = false;
+    this.position = 0;
+    this.subscribers = [];
+    this.seekSubscribers = [];
+    this.sent = [];
+  }
+
+  subscribe(callback) {
+    this.subscribers.push(callback);
+    return () => this.subscribers.splice(this.subscribers.indexOf(callback), 1);
+  }
+
+  subscribeToSeek(callback) {
+    this.seekSubscribers.push(callback);
+    return () => this.seekSubscribers.splice(this.seekSubscribers.indexOf(callback), 1);
+  }
+
+  resumeFromIndex(index) {
+    this.position = index;
+  }
+
+  startStreamingEvents() {
+    this.isStreamingEvents = true;
+  }
+
+  send(event) {
+    this.sent.push(event);
+  }
+
+  stopStreamingEvents() {
+    this.isStreamingEvents = false;
+  }
+
+  push(event) {
+    this.position++;
+    this.subscribers.forEach((callback) => callback(event));
+  }
+
+  seek(events) {
+    this.position = events.length;
+    this.seekSubscribers.forEach((callback) => callback({ index: events.length, events }));
+  }
+}
+
+const message = (conversationId, timestamp, body = 'Body') => ({
+  type: 'messageReceived',
+  data: { conversationId, timestamp, subject: 'Subject', body },
+});
+
+describe('TabSync', () => {
+  let tabs;
+
+  // Tabs are opened in order, the first one has the smallest id
+  const openTab = (options = {}) => {
+    const store = new Store();
+    const socket = new FakeSocket();
+    const sync = new TabSync(store, socket, {
+      channel: new FakeBroadcastChannel('test'),
+      tabId: `tab${tabs.length + 1}`,
+      ...options,
+    });
+    const tab = { store, socket, sync };
+    tabs.push(tab);
+    sync.start();
+    return tab;
+  };
+
+  // A frozen tab (e.g. in the background) neither sends nor receives messages, unlike a closed one it does not resign
+  const freeze = ({ sync }) => {
+    const channel = sync['channel'];
+    const { onmessage, postMessage } = channel;
+    channel.onmessage = null;
+    channel.postMessage = () => {};
+    return () => {
+      channel.onmessage = onmessage;
+      channel.postMessage = postMessage;
+    };
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    tabs = [];
+  });
+
+  afterEach(() => {
+    tabs.forEach(({ store, sync }) => {
+      sync.dispose();
+      store.dispose();
+    });
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('should make the only tab the leader', () => {
+    const tab = openTab();
+    expect(tab.sync.isLeader).toBe(false);
+
+    vi.advanceTimersByTime(300);
+
+    expect(tab.sync.isLeader).toBe(true);
+  });
+
+  it('should keep the leader when another tab is opened', () => {
+    const first = openTab();
+    vi.advanceTimersByTime(300);
+    const second = openTab();
+    vi.advanceTimersByTime(5000);
+
+    expect(first.sync.isLeader).toBe(true);
+    expect(second.sync.isLeader).toBe(false);
+  });
+
+  it('should elect a single leader among tabs opened at the same time', () => {
+    openTab();
+    openTab();
+    openTab();
+    vi.advanceTimersByTime(5000);
+
+    expect(tabs.map(({ sync }) => sync.isLeader)).toEqual([true, false, false]);
+  });
+
+  it('should broadcast the socket events of the leader and ignore the ones of the followers', () => {
+    const leader = openTab();
+    vi.advanceTimersByTime(300);
+    const follower = openTab();
+    vi.advanceTimersByTime(10);
+
+    leader.socket.push(message('conversation1', 1));
+    follower.socket.push(message('conversation2', 2));
+    vi.advanceTimersByTime(10);
+
+    expect(leader.store.getConversations().map(({ id }) => id)).toEqual(['conversation1']);
+    expect(follower.store.getConversations()).toEqual(leader.store.getConversations());
+  });
+
+  it('should apply the events dispatched in a follower in every tab', () => {
+    const leader = openTab();
+    vi.advanceTimersByTime(300);
+    const follower = openTab();
+    leader.socket.push(message('conversation1', 1));
+    vi.advanceTimersByTime(10);
+
+    follower.sync.dispatch({
+      type: 'conversationRead',
+      data: { conversationId: 'conversation1', timestamp: 2, user: 'Ann', upTo: 1 },
+    });
+    vi.advanceTimersByTime(10);
+
+    expect(follower.store.getUnreadCount('conversation1', 'Ann')).toBe(0);
+    expect(leader.store.getUnreadCount('conversation1', 'Ann')).toBe(0);
+  });
+
+  it('should send the events of every tab through the socket of the leader', () => {
+    const leader = openTab();
+    vi.advanceTimersByTime(300);
+    const follower = openTab();
+    const event = { ...message('conversation1', 1), eventId: 'event1' };
+
+    follower.sync.send(event);
+    vi.advanceTimersByTime(10);
+
+    expect(follower.socket.sent).toEqual([]);
+    expect(leader.socket.sent).toEqual([event]);
+  });
+
+  it('should send the state of the leader to a tab that is opened', () => {
+    const leader = openTab();
+    vi.advanceTimersByTime(300);
+    leader.socket.push(message('conversation1', 1));
+    leader.socket.push(message('conversation2', 2));
+
+    const follower = openTab();
+    const onReset = vi.fn();
+    follower.sync.subscribeToReset(onReset);
+    vi.advanceTimersByTime(10);
+
+    expect(onReset).toHaveBeenCalledTimes(1);
+    expect(follower.store.getConversations()).toEqual(leader.store.getConversations());
+  });
+
+  it('should rebuild every tab after a seek of the leader', () => {
+    const leader = openTab();
+    vi.advanceTimersByTime(300);
+    const follower = openTab();
+    leader.socket.push(message('conversation1', 1));
+    leader.socket.push(message('conversation2', 2));
+    vi.advanceTimersByTime(10);
+
+    leader.socket.seek([message('conversation1', 1)]);
+    vi.advanceTimersByTime(10);
+
+    expect(follower.store.getConversations().map(({ id }) => id)).toEqual(['conversation1']);
+  });
+
+  it('should hand over the leadership and the stream when the leader is closed', () => {
+    const leader = openTab();
+    vi.advanceTimersByTime(300);
+    leader.socket.startStreamingEvents();
+    const second = openTab();
+    const third = openTab();
+    vi.advanceTimersByTime(1000);
+    const onRole = vi.fn();
+    second.sync.subscribeToRole(onRole);
+
+    leader.sync.dispose();
+    vi.advanceTimersByTime(400);
+
+    expect(leader.socket.isStreamingEvents).toBe(false);
+    expect(second.sync.isLeader).toBe(true);
+    expect(second.socket.isStreamingEvents).toBe(true);
+    expect(third.sync.isLeader).toBe(false);
+    expect(onRole).toHaveBeenCalledWith(TabRole.Leader);
+  });
+
+  it('should go on from the position of the previous leader without broadcasting its events again', () => {
+    const leader = openTab();
+    vi.advanceTimersByTime(300);
+    leader.socket.startStreamingEvents();
+    const follower = openTab();
+    vi.advanceTimersByTime(10);
+    leader.socket.push(message('conversation1', 1));
+    leader.socket.push(message('conversation2', 2));
+    vi.advanceTimersByTime(10);
+    const onEvent = vi.fn();
+    follower.sync.subscribe(onEvent);
+
+    leader.sync.dispose();
+    vi.advanceTimersByTime(400);
+
+    expect(follower.sync.isLeader).toBe(true);
+    expect(follower.socket.position).toBe(2);
+    expect(onEvent).not.toHaveBeenCalled();
+  });
+
+  it('should go on from the position of a seek of the previous leader', () => {
+    const leader = openTab();
+    vi.advanceTimersByTime(300);
+    const follower = openTab();
+    leader.socket.push(message('conversation1', 1));
+    leader.socket.push(message('conversation2', 2));
+    leader.socket.seek([message('conversation1', 1)]);
+    vi.advanceTimersByTime(10);
+
+    leader.sync.dispose();
+    vi.advanceTimersByTime(400);
+
+    expect(follower.socket.position).toBe(1);
+  });
+
+  it('should take over from a leader that stopped sending heartbeats', () => {
+    const leader = openTab();
+    vi.advanceTimersByTime(300);
+    const follower = openTab();
+    vi.advanceTimersByTime(10);
+
+    freeze(leader);
+    vi.advanceTimersByTime(3300);
+
+    expect(follower.sync.isLeader).toBe(true);
+  });
+
+  it('should keep the smallest id as the only leader when a frozen leader comes back', () => {
+    const leader = openTab({ tabId: 'tab2' });
+    vi.advanceTimersByTime(300);
+    leader.socket.startStreamingEvents();
+    const follower = openTab({ tabId: 'tab1' });
+    vi.advanceTimersByTime(10);
+
+    const unfreeze = freeze(leader);
+    vi.advanceTimersByTime(3300);
+    expect(follower.sync.isLeader).toBe(true);
+    expect(leader.sync.isLeader).toBe(true);
+
+    unfreeze();
+    vi.advanceTimersByTime(1000);
+
+    expect(follower.sync.isLeader).toBe(true);
+    expect(leader.sync.isLeader).toBe(false);
+    expect(leader.socket.isStreamingEvents).toBe(false);
+  });
+});
+
+describe('getSnapshotEvents', () => {
+  it('should return the logged events in timestamp order', () => {
+    const store = new Store();
+    store.handleEvents([message('conversation1', 3), message('conversation2', 1), message('conversation1', 2)]);
+
+    expect(getSnapshotEvents(store.toSnapshot()).map(({ data }) => data.timestamp)).toEqual([1, 2, 3]);
+    store.dispose();
+  });
+});
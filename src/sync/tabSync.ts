@@ -0,0 +1,425 @@
+import { StoreSnapshot } from '../store/snapshot';
+import { AnyConversationEvent, LoggedEvent } from '../store/utils.types';
+import { addSubscriber, notifySubscribers } from '../utils/subscribers';
+
+//Role of a tab, only the leader receives the events from the socket
+export const TabRole = {
+  Leader: 'leader',
+  Follower: 'follower',
+} as const;
+
+export type TabRoleKeys = (typeof TabRole)[keyof typeof TabRole];
+
+//Only the part of BroadcastChannel the sync needs, so the tests can pass a FakeBroadcastChannel
+export interface TabChannel {
+  onmessage: ((event: { data: unknown }) => void) | null;
+  postMessage(message: unknown): void;
+  close(): void;
+}
+
+//Only the part of the Store the sync needs
+export interface SyncedStore {
+  handleEvent(event: AnyConversationEvent): void;
+  reset(events?: readonly AnyConversationEvent[]): void;
+  toSnapshot(): StoreSnapshot;
+}
+
+//Socket or WebSocketSocket
+export interface SyncedSocket {
+  isStreamingEvents: boolean;
+  //Index of the next event of the source, only a socket replaying a known source has one
+  position?: number | null;
+  subscribe(callback: (event: AnyConversationEvent) => void): () => void;
+  subscribeToSeek?(callback: (seek: { index: number; events: AnyConversationEvent[] }) => void): () => void;
+  //Goes on from the position of the previous leader instead of replaying the events it already received
+  resumeFromIndex?(index: number): void;
+  startStreamingEvents(): void;
+  stopStreamingEvents(): void;
+  send(event: AnyConversationEvent): void;
+}
+
+export type TabSyncOptions = {
+  //Created from channelName when it is not given
+  channel?: TabChannel;
+  channelName?: string;
+  //Ties of the election go to the smallest id, the default one starts with the time so the oldest tab wins
+  tabId?: string;
+  //How often the leader tells the other tabs it is still there
+  heartbeatIntervalMs?: number;
+  //A follower that did not hear from the leader for this long starts an election
+  leaderTimeoutMs?: number;
+  //How long a tab waits for the other candidates (or for a leader) before it becomes the leader
+  electionTimeoutMs?: number;
+};
+
+type TabMessage =
+  //A tab was opened, the leader answers with a heartbeat and its state
+  | { type: 'hello'; tabId: string }
+  | { type: 'heartbeat'; tabId: string; isStreamingEvents: boolean; position: number | null }
+  | { type: 'candidate'; tabId: string }
+  //The leader tab is closing, the followers elect a new one at once
+  | { type: 'resign'; tabId: string }
+  //position is the one of the socket of the leader after a socket event, none for an event dispatched by a tab
+  | { type: 'event'; event: AnyConversationEvent; position?: number | null }
+  //An event a follower sends to the server through the socket of the leader
+  | { type: 'send'; event: AnyConversationEvent }
+  //The state is rebuilt from these events, in every tab after a seek or in the tab that said hello
+  | { type: 'reset'; events: AnyConversationEvent[]; to: string | null };
+
+export const defaultChannelName = 'conversations-store';
+
+const defaultOptions = {
+  heartbeatIntervalMs: 1000,
+  leaderTimeoutMs: 3000,
+  electionTimeoutMs: 300,
+};
+
+//Every event logged in the snapshot in timestamp order, except the typing indicators that expired
+export function getSnapshotEvents(snapshot: StoreSnapshot): AnyConversationEvent[] {
+  const expiredTypingEvents = new Set(snapshot.expiredTypingEvents);
+  const loggedEvents = snapshot.eventLog.reduce(
+    (events, [, conversationEvents]) => events.concat(conversationEvents),
+    [] as LoggedEvent[]
+  );
+  return loggedEvents
+    .filter(({ id }) => !expiredTypingEvents.has(id))
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map(({ event }) => event);
+}
+
+/**
+ * Keeps the stores of the tabs of the app in sync through a BroadcastChannel.
+ *
+ * One tab is elected leader: it is the only one receiving the events from its socket, and it broadcasts them
+ * to the other tabs. The events dispatched in any tab (e.g. a conversation read by the agent) are broadcast too.
+ * Every tab applies the same events to its own Store, so they end up with the same state.
+ * If the leader closes or stops sending heartbeats, the followers elect a new leader which takes over the socket.
+ */
+export class TabSync {
+  readonly tabId: string;
+
+  private role: TabRoleKeys = TabRole.Follower;
+
+  private isCandidate = false;
+
+  //Whether the last leader was receiving events, the tab taking over from it resumes the stream
+  private wasLeaderStreaming = false;
+
+  //Position of the socket of the last leader, the tab taking over from it does not replay the events before it
+  private leaderPosition: number | null = null;
+
+  private channel: TabChannel;
+
+  private options: typeof defaultOptions;
+
+  private subscribers: ((event: AnyConversationEvent) => void)[] = [];
+
+  private resetSubscribers: ((events: AnyConversationEvent[]) => void)[] = [];
+
+  private roleSubscribers: ((role: TabRoleKeys) => void)[] = [];
+
+  private unsubscribeFromSocket: (() => void)[] = [];
+
+  private heartbeatInterval: ReturnType<typeof setInterval> | undefined;
+
+  //Leader timeout of a follower or end of the election of a candidate
+  private electionTimeout: ReturnType<typeof setTimeout> | undefined;
+
+  private isDisposed = false;
+
+  constructor(private store: SyncedStore, private socket: SyncedSocket, options: TabSyncOptions = {}) {
+    const { channel, channelName = defaultChannelName, tabId, ...timings } = options;
+    this.tabId = tabId ?? `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    this.options = { ...defaultOptions, ...timings };
+    this.channel = channel ?? (new BroadcastChannel(channelName) as TabChannel);
+    this.channel.onmessage = ({ data }) => this.handleMessage(data as TabMessage);
+
+    //The socket events are only dispatched by the leader, a follower receives them from the channel
+    this.unsubscribeFromSocket.push(
+      socket.subscribe((event) => {
+        if (this.isLeader) {
+          this.apply(event);
+          this.post({ type: 'event', event, position: this.getSocketPosition() });
+        }
+      })
+    );
+    if (socket.subscribeToSeek) {
+      this.unsubscribeFromSocket.push(
+        socket.subscribeToSeek(({ events }) => {
+          if (this.isLeader) {
+            this.resetAll(events);
+            //The followers learn the new position at once
+            this.sendHeartbeat();
+          }
+        })
+      );
+    }
+  }
+
+  get isLeader(): boolean {
+    return this.role === TabRole.Leader;
+  }
+
+  //Asks the leader for its state, and becomes the leader if no leader answers
+  start(): void {
+    this.post({ type: 'hello', tabId: this.tabId });
+    this.runForLeader();
+  }
+
+  /**
+   * Applies an event to the store of this tab and of the other tabs.
+   *
+   * @param {AnyConversationEvent} event
+   * @returns {void}
+   */
+  dispatch(event: AnyConversationEvent): void {
+    this.apply(event);
+    this.post({ type: 'event', event });
+  }
+
+  /**
+   * Sends an event to the server through the socket of the leader, it can be the sender of the Store.
+   * The server echoes it back to the leader, which broadcasts it to every tab like the other events.
+   * A follower can not tell whether the leader could send it, the command of the store times out if it was lost.
+   *
+   * @param {AnyConversationEvent} event
+   * @returns {void}
+   */
+  send(event: AnyConversationEvent): void {
+    if (this.isLeader) {
+      this.socket.send(event);
+    } else {
+      this.post({ type: 'send', event });
+    }
+  }
+
+  //The callback receives every event applied to the store of this tab, whichever tab it comes from
+  subscribe(callback: (event: AnyConversationEvent) => void): () => void {
+    return addSubscriber(this.subscribers, callback);
+  }
+
+  //The callback receives the events the store of this tab was rebuilt from
+  subscribeToReset(callback: (events: AnyConversationEvent[]) => void): () => void {
+    return addSubscriber(this.resetSubscribers, callback);
+  }
+
+  //The callback receives 'leader' or 'follower' every time the role of this tab changes
+  subscribeToRole(callback: (role: TabRoleKeys) => void): () => void {
+    return addSubscriber(this.roleSubscribers, callback);
+  }
+
+  /**
+   * Leaves the sync, e.g. when the tab is closed. A leader hands over to the other tabs and stops its socket.
+   *
+   * @returns {void}
+   */
+  dispose(): void {
+    if (this.isDisposed) {
+      return;
+    }
+    if (this.isLeader) {
+      this.post({ type: 'resign', tabId: this.tabId });
+      this.socket.stopStreamingEvents();
+    }
+    this.isDisposed = true;
+    clearInterval(this.heartbeatInterval);
+    clearTimeout(this.electionTimeout);
+    this.unsubscribeFromSocket.forEach((unsubscribe) => unsubscribe());
+    this.channel.onmessage = null;
+    this.channel.close();
+  }
+
+  private handleMessage(message: TabMessage): void {
+    if (this.isDisposed) {
+      return;
+    }
+
+    switch (message.type) {
+      case 'hello':
+        if (this.isLeader) {
+          this.sendHeartbeat();
+          this.post({ type: 'reset', events: getSnapshotEvents(this.store.toSnapshot()), to: message.tabId });
+        }
+        break;
+
+      case 'heartbeat':
+        //Two leaders after a network split of the tabs (e.g. a frozen tab), the smallest id stays leader
+        if (this.isLeader && this.tabId < message.tabId) {
+          this.sendHeartbeat();
+          break;
+        }
+        this.wasLeaderStreaming = message.isStreamingEvents;
+        this.leaderPosition = message.position;
+        this.follow();
+        break;
+
+      case 'candidate':
+        if (this.isLeader) {
+          this.sendHeartbeat();
+        } else if (this.isCandidate && message.tabId < this.tabId) {
+          //A candidate with a smaller id is going to win, wait for its heartbeats
+          this.follow();
+        }
+        break;
+
+      case 'resign':
+        if (!this.isLeader && !this.isCandidate) {
+          this.runForLeader();
+        }
+        break;
+
+      case 'event':
+        if (message.position !== undefined) {
+          this.leaderPosition = message.position;
+        }
+        this.apply(message.event);
+        break;
+
+      case 'send':
+        if (this.isLeader) {
+          try {
+            this.socket.send(message.event);
+          } catch (error) {
+            console.error('Could not send the event of another tab', error);
+          }
+        }
+        break;
+
+      case 'reset':
+        if (message.to === null || message.to === this.tabId) {
+          this.reset(message.events);
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  private post(message: TabMessage): void {
+    this.channel.postMessage(message);
+  }
+
+  private apply(event: AnyConversationEvent): void {
+    this.store.handleEvent(event);
+    notifySubscribers(this.subscribers, event);
+  }
+
+  private reset(events: AnyConversationEvent[]): void {
+    this.store.reset(events);
+    notifySubscribers(this.resetSubscribers, events);
+  }
+
+  private resetAll(events: AnyConversationEvent[]): void {
+    this.reset(events);
+    this.post({ type: 'reset', events, to: null });
+  }
+
+  private scheduleElection(delayMs: number): void {
+    clearTimeout(this.electionTimeout);
+    this.electionTimeout = setTimeout(() => this.runForLeader(), delayMs);
+  }
+
+  //The candidates wait electionTimeoutMs for each other, the one with the smallest id becomes the leader
+  private runForLeader(): void {
+    this.isCandidate = true;
+    this.post({ type: 'candidate', tabId: this.tabId });
+    clearTimeout(this.electionTimeout);
+    this.electionTimeout = setTimeout(() => this.lead(), this.options.electionTimeoutMs);
+  }
+
+  private lead(): void {
+    this.isCandidate = false;
+    this.setRole(TabRole.Leader);
+    this.sendHeartbeat();
+    this.heartbeatInterval = setInterval(() => this.sendHeartbeat(), this.options.heartbeatIntervalMs);
+
+    if (this.leaderPosition !== null && this.socket.resumeFromIndex) {
+      this.socket.resumeFromIndex(this.leaderPosition);
+    }
+    if (this.wasLeaderStreaming && !this.socket.isStreamingEvents) {
+      this.socket.startStreamingEvents();
+    }
+  }
+
+  private follow(): void {
+    this.isCandidate = false;
+    if (this.isLeader) {
+      clearInterval(this.heartbeatInterval);
+      this.socket.stopStreamingEvents();
+    }
+    this.setRole(TabRole.Follower);
+    this.scheduleElection(this.options.leaderTimeoutMs);
+  }
+
+  private sendHeartbeat(): void {
+    this.post({
+      type: 'heartbeat',
+      tabId: this.tabId,
+      isStreamingEvents: this.socket.isStreamingEvents,
+      position: this.getSocketPosition(),
+    });
+  }
+
+  private getSocketPosition(): number | null {
+    return this.socket.position ?? null;
+  }
+
+  private setRole(role: TabRoleKeys): void {
+    if (this.role !== role) {
+      this.role = role;
+      notifySubscribers(this.roleSubscribers, role);
+    }
+  }
+}
+
+/**
+ * In-process BroadcastChannel for the tests. Like the real one, a message is delivered asynchronously
+ * to every other channel with the same name, not to the one that posted it, in the order the messages were posted,
+ * and it goes through a copy.
+ */
+export class FakeBroadcastChannel implements TabChannel {
+  private static channels = new Map<string, Set<FakeBroadcastChannel>>();
+
+  //Messages posted and not delivered yet, oldest first
+  private static pendingDeliveries: { channel: FakeBroadcastChannel; json: string }[] = [];
+
+  onmessage: ((event: { data: unknown }) => void) | null = null;
+
+  private isClosed = false;
+
+  constructor(readonly name: string) {
+    const channels = FakeBroadcastChannel.channels.get(name) || new Set();
+    channels.add(this);
+    FakeBroadcastChannel.channels.set(name, channels);
+  }
+
+  postMessage(message: unknown): void {
+    if (this.isClosed) {
+      throw new Error('The channel is closed');
+    }
+    const json = JSON.stringify(message);
+    (FakeBroadcastChannel.channels.get(this.name) || new Set()).forEach((channel) => {
+      if (channel !== this) {
+        FakeBroadcastChannel.pendingDeliveries.push({ channel, json });
+        setTimeout(FakeBroadcastChannel.deliverNext, 0);
+      }
+    });
+  }
+
+  close(): void {
+    this.isClosed = true;
+    FakeBroadcastChannel.channels.get(this.name)?.delete(this);
+  }
+
+  /*Every timer delivers the oldest pending message, so the order does not depend on the order of the timers.
+  The messages to a closed channel are dropped on the way */
+  private static deliverNext(): void {
+    const { pendingDeliveries } = FakeBroadcastChannel;
+    let delivery = pendingDeliveries.shift();
+    while (delivery && delivery.channel.isClosed) {
+      delivery = pendingDeliveries.shift();
+    }
+    delivery?.channel.onmessage?.({ data: JSON.parse(delivery.json) });
+  }
+}
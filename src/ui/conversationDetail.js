@@ -0,0 +1,214 @@
+import { buildThreadItems } from './thread';
+
+/**
+ * Detail pane of the selected conversation: its assignee, the whole message thread with the assignment changes
+ * as system lines, and who is typing. It follows the changes of the Store and scrolls to the newest message.
+ */
+export class ConversationDetail {
+  /**
+   * @param {HTMLElement} container
+   * @param {import('../store/store').Store} store
+   * @param {{ onClose?: () => void }} options onClose is called when the close button is clicked
+   */
+  constructor(container, store, { onClose = () => {} } = {}) {
+    this.conversationId = null;
+    this._store = store;
+    this._container = container;
+    this._messageCount = 0;
+    // Element and rendered content of every item of the thread, by key
+    this._items = new Map();
+    this._isRefreshedByStore = false;
+
+    container.innerHTML = `
+      <header class="detail-header">
+        <h2 class="detail-subject"></h2>
+        <button type="button" class="detail-close">Close</button>
+      </header>
+      <p class="detail-assignee"></p>
+      <ol class="detail-thread"></ol>
+      <p class="detail-typing" aria-live="polite"></p>`;
+    this._subjectElement = container.querySelector('.detail-subject');
+    this._assigneeElement = container.querySelector('.detail-assignee');
+    this._threadElement = container.querySelector('.detail-thread');
+    this._typingElement = container.querySelector('.detail-typing');
+    container.querySelector('.detail-close').addEventListener('click', () => {
+      this.show(null);
+      onClose();
+    });
+    container.hidden = true;
+
+    this._unsubscribe = store.subscribe(({ added, updated, removed }) => {
+      const isChanged =
+        added.some(({ conversation }) => conversation.id === this.conversationId) ||
+        updated.some(({ id }) => id === this.conversationId) ||
+        removed.some(({ id }) => id === this.conversationId);
+      if (isChanged) {
+        this.refresh();
+        // The store notifies while it handles the event, refreshForEvent is called for it before the reset
+        this._isRefreshedByStore = true;
+        queueMicrotask(() => {
+          this._isRefreshedByStore = false;
+        });
+      }
+    });
+  }
+
+  /** Shows the conversation, null hides the pane. */
+  show(conversationId) {
+    this.conversationId = conversationId;
+    this._messageCount = 0;
+    this._items.forEach(({ element }) => element.remove());
+    this._items.clear();
+    this.refresh();
+  }
+
+  /**
+   * Renders the conversation again after one of its events, unless the change set of the store already did.
+   * The store only reports the changes of the conversations of the list, not the ones of a closed conversation.
+   *
+   * @param {{ data: { conversationId: string } }} event
+   */
+  refreshForEvent(event) {
+    if (event.data.conversationId === this.conversationId && !this._isRefreshedByStore) {
+      this.refresh();
+    }
+  }
+
+  /** Renders the conversation again, e.g. after the store was rebuilt. */
+  refresh() {
+    const conversation = this.conversationId && this._getConversation(this.conversationId);
+    this._container.hidden = !conversation;
+    if (!conversation) {
+      return;
+    }
+
+    this._subjectElement.textContent = conversation.subject || '(no subject)';
+    this._assigneeElement.textContent = conversation.assignedUser
+      ? `Assigned to ${conversation.assignedUser}`
+      : 'Unassigned';
+
+    this._typingElement.textContent = this._store.getBlurbForTypingUsers(conversation.id);
+
+    this._renderThread(conversation);
+
+    // A new message (or opening the conversation) brings the newest message into view
+    if (conversation.messageCount > this._messageCount) {
+      this._threadElement.scrollTop = this._threadElement.scrollHeight;
+    }
+    this._messageCount = conversation.messageCount;
+  }
+
+  dispose() {
+    this._unsubscribe();
+    this._container.replaceChildren();
+  }
+
+  // The pane also shows the conversations that are hidden from the list, e.g. closed after it was opened
+  _getConversation(conversationId) {
+    const [conversation] = this._store
+      .getConversations({ status: ['open', 'closed', 'snoozed', 'archived'], excludedAssignees: [] })
+      .filter(({ id }) => id === conversationId);
+    return conversation || null;
+  }
+
+  /*The elements of the items already shown are reused and only rendered again when their content changed,
+  rebuilding the children of an element would clear the text selected in it */
+  _renderThread(conversation) {
+    const { messages } = this._store.getMessages(conversation.id, { limit: conversation.messageCount });
+    const items = buildThreadItems(messages, this._store.getAssignmentHistory(conversation.id));
+    const commands = this._store.getCommands(conversation.id);
+    const pendingIds = new Set(commands.filter(({ status }) => status === 'pending').map(({ id }) => id));
+
+    // A message that could not be sent was rolled back, it is shown at the end so it can be sent again
+    const failedMessages = commands
+      .filter(({ status, event }) => status === 'failed' && event.type === 'messageReceived')
+      .map(({ id, event, error }) => ({ kind: 'failed', key: id, error, message: { id, ...event.data } }));
+
+    const renderedItems = [...items, ...failedMessages].map((item) => {
+      const state = item.kind === 'failed' ? 'failed' : pendingIds.has(item.key);
+      const content = JSON.stringify(
+        item.kind === 'system' ? [item.text, item.timestamp] : [item.message, state, item.error || null]
+      );
+      const renderedItem = this._items.get(item.key);
+      if (renderedItem && renderedItem.content === content) {
+        return [item.key, renderedItem];
+      }
+
+      const element = renderedItem ? renderedItem.element : document.createElement('li');
+      if (item.kind === 'system') {
+        renderSystemLine(element, item);
+      } else {
+        renderMessage(element, item.message, state);
+        if (item.kind === 'failed') {
+          this._renderFailure(element, item);
+        }
+      }
+      return [item.key, { element, content }];
+    });
+
+    const keys = new Set(renderedItems.map(([key]) => key));
+    this._items.forEach(({ element }, key) => {
+      if (!keys.has(key)) {
+        element.remove();
+      }
+    });
+    this._items = new Map(renderedItems);
+
+    // Only the new and the moved elements are inserted, moving an element would clear its selection too
+    let nextElement = this._threadElement.firstElementChild;
+    renderedItems.forEach(([, { element }]) => {
+      if (element === nextElement) {
+        nextElement = nextElement.nextElementSibling;
+      } else {
+        this._threadElement.insertBefore(element, nextElement);
+      }
+    });
+  }
+
+  _renderFailure(element, { key, error }) {
+    const retryButton = document.createElement('button');
+    retryButton.type = 'button';
+    retryButton.textContent = 'Retry';
+    retryButton.title = error || '';
+    retryButton.addEventListener('click', () => this._store.retryCommand(key));
+    element.querySelector('.thread-state').append(' ', retryButton);
+  }
+}
+
+function renderSystemLine(element, { timestamp, text }) {
+  element.className = 'thread-system';
+  element.replaceChildren(text, ' · ', createTime(timestamp));
+}
+
+// The content is set with textContent, the subjects and bodies come from the server and are not trusted
+function renderMessage(element, { subject, body, timestamp, user }, state) {
+  element.className = `thread-message ${user ? 'is-agent' : 'is-customer'}`;
+  element.classList.toggle('is-pending', state === true);
+  element.classList.toggle('is-failed', state === 'failed');
+
+  const meta = document.createElement('div');
+  meta.className = 'thread-meta';
+  const author = document.createElement('span');
+  author.className = 'thread-author';
+  author.textContent = user || 'Customer';
+  const stateElement = document.createElement('span');
+  stateElement.className = 'thread-state';
+  stateElement.textContent = state === 'failed' ? 'Not sent' : state ? 'Sending…' : '';
+  meta.append(author, ' · ', createTime(timestamp), ' ', stateElement);
+
+  const subjectElement = document.createElement('div');
+  subjectElement.className = 'thread-subject';
+  subjectElement.textContent = subject;
+  const bodyElement = document.createElement('div');
+  bodyElement.className = 'thread-body';
+  bodyElement.textContent = body;
+
+  element.replaceChildren(meta, subjectElement, bodyElement);
+}
+
+function createTime(timestamp) {
+  const time = document.createElement('time');
+  time.dateTime = new Date(timestamp).toISOString();
+  time.textContent = new Date(timestamp).toLocaleString();
+  return time;
+}
@@ -0,0 +1,120 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { Store } from '../store/store';
+import { ConversationDetail } from './conversationDetail';
+
+const message = (timestamp, body, user) => ({
+  type: 'messageReceived',
+  data: { conversationId: 'conversation1', timestamp, subject: 'Subject', body, ...(user ? { user } : {}) },
+});
+
+describe('ConversationDetail', () => {
+  let sender;
+  let store;
+  let container;
+  let detail;
+
+  const threadItems = () => Array.from(container.querySelectorAll('.detail-thread > li'));
+  // The text of a message is its body, the one of a system line is before the time
+  const texts = () =>
+    threadItems().map((item) => item.querySelector('.thread-body')?.textContent ?? item.firstChild.textContent);
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    sender = { send: vi.fn() };
+    store = new Store({ sender, currentUser: 'Ann', typingTtlMs: null, commandTimeoutMs: null });
+    store.handleEvents([message(1, 'Question'), message(2, 'More details')]);
+    container = document.createElement('section');
+    document.body.append(container);
+    detail = new ConversationDetail(container, store);
+  });
+
+  afterEach(() => {
+    detail.dispose();
+    container.remove();
+    store.dispose();
+    vi.restoreAllMocks();
+  });
+
+  it('should show the thread of the conversation and hide the pane without one', () => {
+    expect(container.hidden).toBe(true);
+
+    detail.show('conversation1');
+
+    expect(container.hidden).toBe(false);
+    expect(container.querySelector('.detail-subject').textContent).toBe('Subject');
+    expect(texts()).toEqual(['Question', 'More details']);
+
+    detail.show(null);
+    expect(container.hidden).toBe(true);
+  });
+
+  it('should add the new items and keep the content of the ones that did not change', () => {
+    detail.show('conversation1');
+    const [firstItem] = threadItems();
+    const firstBody = firstItem.querySelector('.thread-body');
+
+    store.handleEvent({ type: 'assigned', data: { conversationId: 'conversation1', timestamp: 3, user: 'Bob' } });
+    store.handleEvent(message(4, 'Answer', 'Bob'));
+
+    expect(texts()).toEqual(['Question', 'More details', 'Assigned to Bob', 'Answer']);
+    expect(threadItems()[0]).toBe(firstItem);
+    expect(firstItem.querySelector('.thread-body')).toBe(firstBody);
+  });
+
+  it('should render a message again when its command is confirmed', () => {
+    detail.show('conversation1');
+    store.sendMessage('conversation1', 'Subject', 'Reply');
+    const [event] = sender.send.mock.calls[0];
+    const [firstItem, , sentItem] = threadItems();
+    const firstBody = firstItem.querySelector('.thread-body');
+    expect(sentItem.querySelector('.thread-state').textContent).toBe('Sending…');
+
+    store.handleEvent(JSON.parse(JSON.stringify(event)));
+
+    expect(threadItems()[2]).toBe(sentItem);
+    expect(sentItem.querySelector('.thread-state').textContent).toBe('');
+    expect(firstItem.querySelector('.thread-body')).toBe(firstBody);
+  });
+
+  it('should show a message that could not be sent with a retry button', async () => {
+    sender.send.mockRejectedValueOnce(new Error('Offline'));
+    detail.show('conversation1');
+    store.sendMessage('conversation1', 'Subject', 'Reply');
+    await Promise.resolve();
+    await Promise.resolve();
+
+    const failedItem = container.querySelector('.thread-message.is-failed');
+    expect(failedItem.querySelector('.thread-body').textContent).toBe('Reply');
+    const retryButton = failedItem.querySelector('.thread-state button');
+    expect(retryButton.title).toBe('Offline');
+
+    retryButton.click();
+
+    expect(sender.send).toHaveBeenCalledTimes(2);
+    expect(container.querySelector('.is-failed')).toBeNull();
+    expect(container.querySelector('.thread-message.is-pending .thread-body').textContent).toBe('Reply');
+  });
+
+  it('should refresh for an event only when the change set of the store did not cover it', async () => {
+    detail.show('conversation1');
+    const refresh = vi.spyOn(detail, 'refresh');
+
+    const event = message(3, 'Listed');
+    store.handleEvent(event);
+    detail.refreshForEvent(event);
+    expect(refresh).toHaveBeenCalledTimes(1);
+
+    // A closed conversation leaves the list, its next events are not in the change sets
+    store.handleEvent({ type: 'conversationClosed', data: { conversationId: 'conversation1', timestamp: 4 } });
+    await Promise.resolve();
+    refresh.mockClear();
+
+    const assigned = { type: 'assigned', data: { conversationId: 'conversation1', timestamp: 5, user: 'Bob' } };
+    store.handleEvent(assigned);
+    detail.refreshForEvent(assigned);
+
+    expect(refresh).toHaveBeenCalledTimes(1);
+    expect(container.querySelector('.detail-assignee').textContent).toBe('Assigned to Bob');
+  });
+});
@@ -0,0 +1,119 @@
+import { formatRelativeTime } from './format';
+import { VirtualList } from './virtualList';
+
+const rowHeightPx = 72;
+
+// The relative times ('5 minutes ago') of the rendered rows are refreshed at this interval
+const timeRefreshIntervalMs = 30000;
+
+/**
+ * The conversation list of the app, kept up to date from the change sets of the Store.
+ * A row shows the subject, the blurb, the assignee, the message count and how long ago the conversation was updated.
+ * While somebody is typing the blurb is the typing indicator, it is styled differently from a message.
+ */
+export class ConversationList {
+  /**
+   * @param {HTMLElement} container scrollable element with a fixed height
+   * @param {import('../store/store').Store} store
+   * @param {{ now?: () => number, onSelect?: (conversationId: string) => void }} options now is the current time
+   * of the relative times, onSelect is called with the id of the conversation whose row is clicked
+   */
+  constructor(container, store, { now = () => Date.now(), onSelect = () => {} } = {}) {
+    this._container = container;
+    this._store = store;
+    this._now = now;
+    this._selectedId = null;
+    this._list = new VirtualList(container, {
+      rowHeight: rowHeightPx,
+      getKey: (conversation) => conversation.id,
+      createRow: (conversation) => this._createRow(conversation),
+      updateRow: (row, conversation) => this._updateRow(row, conversation),
+    });
+
+    // Only the added and updated conversations are rendered again, a moved row keeps its content
+    this._unsubscribe = store.subscribe(({ added, updated }) => {
+      const changedIds = new Set([...added.map(({ conversation }) => conversation.id), ...updated.map(({ id }) => id)]);
+      this._list.setItems(store.getConversations(), changedIds);
+    });
+    this._onClick = (event) => {
+      const row = event.target.closest('.conversation');
+      if (row) {
+        this.select(row.dataset.conversationId);
+        onSelect(row.dataset.conversationId);
+      }
+    };
+    container.addEventListener('click', this._onClick);
+    this._timeRefreshInterval = setInterval(() => this._list.refresh(), timeRefreshIntervalMs);
+
+    this._list.setItems(store.getConversations());
+  }
+
+  /** Highlights the row of the conversation, null removes the highlight. */
+  select(conversationId) {
+    this._selectedId = conversationId;
+    this._list.refresh();
+  }
+
+  dispose() {
+    this._unsubscribe();
+    this._container.removeEventListener('click', this._onClick);
+    clearInterval(this._timeRefreshInterval);
+    this._list.dispose();
+  }
+
+  _createRow(conversation) {
+    const row = document.createElement('article');
+    row.className = 'conversation';
+    row.innerHTML = `
+      <div class="conversation-header">
+        <span class="conversation-subject"></span>
+        <time class="conversation-time"></time>
+      </div>
+      <div class="conversation-blurb"></div>
+      <div class="conversation-footer">
+        <span class="conversation-assignee"></span>
+        <span class="conversation-message-count"></span>
+        <span class="conversation-command-state"></span>
+      </div>`;
+    this._updateRow(row, conversation);
+    return row;
+  }
+
+  // The content is set with textContent, the subjects and bodies come from the server and are not trusted
+  _updateRow(row, conversation) {
+    const { id, subject, blurb, assignedUser, messageCount, lastUpdatedTimestamp } = conversation;
+    const isTyping = this._store.getTypingUsers(id).length > 0;
+
+    row.dataset.conversationId = id;
+    row.classList.toggle('is-selected', id === this._selectedId);
+    row.querySelector('.conversation-subject').textContent = subject || '(no subject)';
+
+    const time = row.querySelector('.conversation-time');
+    time.dateTime = new Date(lastUpdatedTimestamp).toISOString();
+    time.title = new Date(lastUpdatedTimestamp).toLocaleString();
+    time.textContent = formatRelativeTime(lastUpdatedTimestamp, this._now());
+
+    const blurbElement = row.querySelector('.conversation-blurb');
+    blurbElement.textContent = blurb;
+    blurbElement.classList.toggle('is-typing', isTyping);
+
+    const assignee = row.querySelector('.conversation-assignee');
+    assignee.textContent = assignedUser || 'Unassigned';
+    assignee.classList.toggle('is-unassigned', !assignedUser);
+
+    row.querySelector('.conversation-message-count').textContent =
+      messageCount === 1 ? '1 message' : `${messageCount.toLocaleString()} messages`;
+
+    // The commands sent from this tab that the server did not confirm yet, or that failed
+    const commandState = row.querySelector('.conversation-command-state');
+    commandState.textContent = getCommandStateText(conversation);
+    commandState.classList.toggle('is-failed', conversation.failedCommandCount > 0);
+  }
+}
+
+function getCommandStateText({ pendingCommandCount, failedCommandCount }) {
+  if (failedCommandCount > 0) {
+    return 'Not sent';
+  }
+  return pendingCommandCount > 0 ? 'Sending…' : '';
+}
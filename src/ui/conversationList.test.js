@@ -0,0 +1,88 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { Store } from '../store/store';
+import { ConversationList } from './conversationList';
+
+const message = (conversationId, timestamp, body) => ({
+  type: 'messageReceived',
+  data: { conversationId, timestamp, subject: `Subject of ${conversationId}`, body },
+});
+
+describe('ConversationList', () => {
+  let store;
+  let container;
+  let list;
+  let onSelect;
+
+  const rowOf = (conversationId) => container.querySelector(`[data-conversation-id="${conversationId}"]`);
+  const textOf = (conversationId, part) => rowOf(conversationId).querySelector(`.conversation-${part}`).textContent;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    store = new Store({ typingTtlMs: null });
+    store.handleEvents([message('conversation1', 1000, 'First'), message('conversation2', 2000, 'Second')]);
+    container = document.createElement('div');
+    Object.defineProperty(container, 'clientHeight', { value: 400 });
+    document.body.append(container);
+    onSelect = vi.fn();
+    list = new ConversationList(container, store, { now: () => 62000, onSelect });
+  });
+
+  afterEach(() => {
+    list.dispose();
+    container.remove();
+    store.dispose();
+    vi.restoreAllMocks();
+  });
+
+  it('should render a row for every conversation, the most recent first', () => {
+    expect(rowOf('conversation2').style.transform).toBe('translateY(0px)');
+    expect(rowOf('conversation1').style.transform).toBe('translateY(72px)');
+    expect(textOf('conversation1', 'subject')).toBe('Subject of conversation1');
+    expect(textOf('conversation1', 'blurb')).toBe('First');
+    expect(textOf('conversation1', 'assignee')).toBe('Unassigned');
+    expect(textOf('conversation1', 'message-count')).toBe('1 message');
+  });
+
+  it('should update the row of a changed conversation in place and move it to its new position', () => {
+    const updateRow = vi.spyOn(list, '_updateRow');
+    const row = rowOf('conversation1');
+
+    store.handleEvent(message('conversation1', 3000, 'Third'));
+
+    expect(rowOf('conversation1')).toBe(row);
+    expect(row.style.transform).toBe('translateY(0px)');
+    expect(textOf('conversation1', 'blurb')).toBe('Third');
+    expect(textOf('conversation1', 'message-count')).toBe('2 messages');
+    expect(rowOf('conversation2').style.transform).toBe('translateY(72px)');
+    expect(updateRow).toHaveBeenCalledTimes(1);
+  });
+
+  it('should add the row of a new conversation and remove the row of a closed one', () => {
+    store.handleEvent(message('conversation3', 3000, 'Third'));
+    store.handleEvent({ type: 'conversationClosed', data: { conversationId: 'conversation1', timestamp: 4000 } });
+
+    expect(rowOf('conversation3').style.transform).toBe('translateY(0px)');
+    expect(rowOf('conversation1')).toBeNull();
+  });
+
+  it('should show the typing indicator as the blurb', () => {
+    store.handleEvent({
+      type: 'typingStarted',
+      data: { conversationId: 'conversation1', timestamp: 3000, user: 'Ann' },
+    });
+
+    expect(textOf('conversation1', 'blurb')).toBe('Ann is replying...');
+    expect(rowOf('conversation1').querySelector('.conversation-blurb').classList.contains('is-typing')).toBe(true);
+  });
+
+  it('should select the clicked conversation', () => {
+    rowOf('conversation1').querySelector('.conversation-blurb').click();
+
+    expect(onSelect).toHaveBeenCalledWith('conversation1');
+    expect(rowOf('conversation1').classList.contains('is-selected')).toBe(true);
+
+    list.select(null);
+    expect(rowOf('conversation1').classList.contains('is-selected')).toBe(false);
+  });
+});
@@ -0,0 +1,29 @@
+const minuteMs = 60 * 1000;
+const hourMs = 60 * minuteMs;
+const dayMs = 24 * hourMs;
+
+// The largest unit that fits, e.g. 90 minutes is '1 hour ago'
+const units = [
+  { unit: 'day', ms: dayMs },
+  { unit: 'hour', ms: hourMs },
+  { unit: 'minute', ms: minuteMs },
+];
+
+/**
+ * Formats a time relative to now, e.g. '5 minutes ago' or 'yesterday'.
+ * Less than a minute ago is 'now', more than a week ago is the date.
+ *
+ * @param {number} timestamp ms since epoch
+ * @param {number} now ms since epoch
+ * @param {string} locale
+ */
+export function formatRelativeTime(timestamp, now, locale = 'en') {
+  const elapsedMs = Math.max(0, now - timestamp);
+  if (elapsedMs >= 7 * dayMs) {
+    return new Date(timestamp).toLocaleDateString(locale, { year: 'numeric', month: 'short', day: 'numeric' });
+  }
+
+  const formatter = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+  const match = units.find(({ ms }) => elapsedMs >= ms);
+  return match ? formatter.format(-Math.floor(elapsedMs / match.ms), match.unit) : formatter.format(0, 'second');
+}
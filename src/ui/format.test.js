@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { formatRelativeTime } from './format';
+
+const now = Date.UTC(2024, 4, 20, 12, 0, 0);
+const minuteMs = 60 * 1000;
+
+describe('formatRelativeTime', () => {
+  it('should say now for less than a minute', () => {
+    expect(formatRelativeTime(now - 30 * 1000, now)).toBe('now');
+    // A timestamp slightly in the future (clock skew) is now too
+    expect(formatRelativeTime(now + 5000, now)).toBe('now');
+  });
+
+  it('should use the largest unit that fits', () => {
+    expect(formatRelativeTime(now - 5 * minuteMs, now)).toBe('5 minutes ago');
+    expect(formatRelativeTime(now - 90 * minuteMs, now)).toBe('1 hour ago');
+    expect(formatRelativeTime(now - 24 * 60 * minuteMs, now)).toBe('yesterday');
+    expect(formatRelativeTime(now - 3 * 24 * 60 * minuteMs, now)).toBe('3 days ago');
+  });
+
+  it('should show the date after a week', () => {
+    expect(formatRelativeTime(Date.UTC(2024, 0, 2, 12), now)).toBe('Jan 2, 2024');
+  });
+
+  it('should follow the locale', () => {
+    expect(formatRelativeTime(now - 5 * minuteMs, now, 'fr')).toBe('il y a 5 minutes');
+  });
+});
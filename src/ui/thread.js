@@ -0,0 +1,45 @@
+/**
+ * Merges the messages of a conversation and its assignment changes into one thread, oldest first.
+ * An assignment change is a system line; at the same timestamp it goes before the messages.
+ *
+ * @param {{ id: string, timestamp: number }[]} messages sorted by timestamp, from Store#getMessages
+ * @param {{ user: string, assignedAt: number, unassignedAt: number | null }[]} assignmentHistory
+ *   from Store#getAssignmentHistory, oldest first
+ * @returns {({ kind: 'message', key: string, timestamp: number, message: object }
+ *   | { kind: 'system', key: string, timestamp: number, text: string })[]}
+ */
+export function buildThreadItems(messages, assignmentHistory) {
+  const systemItems = [];
+  assignmentHistory.forEach((period, index) => {
+    const previous = assignmentHistory[index - 1];
+    const next = assignmentHistory[index + 1];
+    // Assigning to another user ends the previous period and starts the next one at the same time
+    const isReassignment = previous && previous.unassignedAt === period.assignedAt;
+
+    systemItems.push({
+      kind: 'system',
+      key: `assigned-${period.assignedAt}-${index}`,
+      timestamp: period.assignedAt,
+      text: isReassignment ? `Reassigned from ${previous.user} to ${period.user}` : `Assigned to ${period.user}`,
+    });
+
+    if (period.unassignedAt !== null && !(next && next.assignedAt === period.unassignedAt)) {
+      systemItems.push({
+        kind: 'system',
+        key: `unassigned-${period.unassignedAt}-${index}`,
+        timestamp: period.unassignedAt,
+        text: `Unassigned from ${period.user}`,
+      });
+    }
+  });
+
+  const messageItems = messages.map((message) => ({
+    kind: 'message',
+    key: message.id,
+    timestamp: message.timestamp,
+    message,
+  }));
+
+  // Array#sort is stable, the messages with the same timestamp keep their order
+  return [...systemItems, ...messageItems].sort((a, b) => a.timestamp - b.timestamp);
+}
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { buildThreadItems } from './thread';
+
+const message = (id, timestamp) => ({
+  id,
+  conversationId: 'conversation1',
+  subject: '',
+  body: id,
+  timestamp,
+  user: null,
+});
+
+describe('buildThreadItems', () => {
+  it('should put the assignment changes between the messages', () => {
+    const items = buildThreadItems(
+      [message('m1', 1), message('m2', 5)],
+      [{ user: 'Ann', assignedAt: 3, unassignedAt: 7 }]
+    );
+
+    expect(items.map(({ kind, key, text }) => text || `${kind} ${key}`)).toEqual([
+      'message m1',
+      'Assigned to Ann',
+      'message m2',
+      'Unassigned from Ann',
+    ]);
+  });
+
+  it('should show a reassignment as a single line', () => {
+    const items = buildThreadItems(
+      [],
+      [
+        { user: 'Ann', assignedAt: 1, unassignedAt: 2 },
+        { user: 'Bob', assignedAt: 2, unassignedAt: null },
+      ]
+    );
+
+    expect(items.map(({ text }) => text)).toEqual(['Assigned to Ann', 'Reassigned from Ann to Bob']);
+  });
+
+  it('should put an assignment before a message with the same timestamp', () => {
+    const items = buildThreadItems([message('m1', 2)], [{ user: 'Ann', assignedAt: 2, unassignedAt: null }]);
+
+    expect(items.map(({ kind }) => kind)).toEqual(['system', 'message']);
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Range of the items to render for the scroll position: the visible ones and overscan more on each side,
+ * so a fast scroll does not show empty space before the next frame. end is exclusive.
+ *
+ * @param {{ scrollTop: number, viewportHeight: number, rowHeight: number, itemCount: number, overscan: number }} view
+ * @returns {{ start: number, end: number }}
+ */
+export function getVisibleRange({ scrollTop, viewportHeight, rowHeight, itemCount, overscan }) {
+  const firstVisible = Math.floor(Math.max(0, scrollTop) / rowHeight);
+  const lastVisible = Math.ceil((Math.max(0, scrollTop) + viewportHeight) / rowHeight);
+  return {
+    start: Math.max(0, Math.min(itemCount, firstVisible - overscan)),
+    end: Math.max(0, Math.min(itemCount, lastVisible + overscan)),
+  };
+}
+
+/**
+ * Scrollable list that only keeps the rows around the visible part in the DOM, so thousands of items stay smooth.
+ * Every row has the same height. A row is created once for an item and then only updated when the item changed,
+ * moving an item only moves its row.
+ */
+export class VirtualList {
+  /**
+   * @param {HTMLElement} container scrollable element with a fixed height
+   * @param {{
+   *   rowHeight: number,
+   *   overscan?: number,
+   *   getKey: (item: object) => string,
+   *   createRow: (item: object) => HTMLElement,
+   *   updateRow: (row: HTMLElement, item: object) => void
+   * }} options
+   */
+  constructor(container, { rowHeight, overscan = 5, getKey, createRow, updateRow }) {
+    this.container = container;
+    this.rowHeight = rowHeight;
+    this.overscan = overscan;
+    this._getKey = getKey;
+    this._createRow = createRow;
+    this._updateRow = updateRow;
+
+    this._items = [];
+    this._rows = new Map();
+    this._content = document.createElement('div');
+    this._content.style.position = 'relative';
+    this.container.append(this._content);
+
+    this._onScroll = () => this._scheduleRender();
+    this.container.addEventListener('scroll', this._onScroll);
+    this._animationFrame = null;
+  }
+
+  /**
+   * Replaces the items. Only the rows of the changed keys are updated, null updates every rendered row.
+   *
+   * @param {object[]} items
+   * @param {Set<string> | null} changedKeys
+   */
+  setItems(items, changedKeys = null) {
+    this._items = items;
+    this._render(changedKeys);
+  }
+
+  /** Updates every rendered row, e.g. when something the rows show depends on the time. */
+  refresh() {
+    this._render(null);
+  }
+
+  dispose() {
+    cancelAnimationFrame(this._animationFrame);
+    this.container.removeEventListener('scroll', this._onScroll);
+    this._content.remove();
+    this._rows.clear();
+  }
+
+  // Scroll events come faster than the frames, the rows are rendered once per frame
+  _scheduleRender() {
+    if (this._animationFrame === null) {
+      this._animationFrame = requestAnimationFrame(() => {
+        this._animationFrame = null;
+        this._render(new Set());
+      });
+    }
+  }
+
+  _render(changedKeys) {
+    this._content.style.height = `${this._items.length * this.rowHeight}px`;
+    const { start, end } = getVisibleRange({
+      scrollTop: this.container.scrollTop,
+      viewportHeight: this.container.clientHeight,
+      rowHeight: this.rowHeight,
+      itemCount: this._items.length,
+      overscan: this.overscan,
+    });
+
+    const rendered = new Map();
+    for (let index = start; index < end; index++) {
+      const item = this._items[index];
+      const key = this._getKey(item);
+      let row = this._rows.get(key);
+      if (!row) {
+        row = this._createRow(item);
+        row.style.position = 'absolute';
+        row.style.left = '0';
+        row.style.right = '0';
+        row.style.height = `${this.rowHeight}px`;
+        this._content.append(row);
+      } else if (changedKeys === null || changedKeys.has(key)) {
+        this._updateRow(row, item);
+      }
+      row.style.transform = `translateY(${index * this.rowHeight}px)`;
+      rendered.set(key, row);
+    }
+
+    // The rows that scrolled out of the range, or whose item is gone, leave the DOM
+    this._rows.forEach((row, key) => {
+      if (!rendered.has(key)) {
+        row.remove();
+      }
+    });
+    this._rows = rendered;
+  }
+}
@@ -0,0 +1,113 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, it, expect, vi } from 'vitest';
+import { getVisibleRange, VirtualList } from './virtualList';
+
+const view = { scrollTop: 0, viewportHeight: 300, rowHeight: 50, itemCount: 1000, overscan: 2 };
+
+describe('getVisibleRange', () => {
+  it('should render the visible rows and the overscan after them at the top', () => {
+    expect(getVisibleRange(view)).toEqual({ start: 0, end: 8 });
+  });
+
+  it('should render the overscan on both sides when scrolled', () => {
+    expect(getVisibleRange({ ...view, scrollTop: 1025 })).toEqual({ start: 18, end: 29 });
+  });
+
+  it('should stay within the items', () => {
+    expect(getVisibleRange({ ...view, scrollTop: 49900 })).toEqual({ start: 996, end: 1000 });
+    expect(getVisibleRange({ ...view, itemCount: 3 })).toEqual({ start: 0, end: 3 });
+    expect(getVisibleRange({ ...view, itemCount: 0 })).toEqual({ start: 0, end: 0 });
+  });
+
+  it('should ignore the negative scroll of an overscroll bounce', () => {
+    expect(getVisibleRange({ ...view, scrollTop: -40 })).toEqual({ start: 0, end: 8 });
+  });
+});
+
+describe('VirtualList', () => {
+  let container;
+  let list;
+  let updateRow;
+
+  const items = (count) => Array.from({ length: count }, (_, index) => ({ id: `item${index}`, text: `Item ${index}` }));
+  const renderedKeys = () => Array.from(container.querySelectorAll('li'), (row) => row.dataset.key);
+  const rowOf = (key) => container.querySelector(`li[data-key="${key}"]`);
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    container = document.createElement('div');
+    // There is no layout in the test DOM, the height of the viewport is given
+    Object.defineProperty(container, 'clientHeight', { value: 300 });
+    document.body.append(container);
+    updateRow = vi.fn((row, item) => {
+      row.textContent = item.text;
+    });
+    list = new VirtualList(container, {
+      rowHeight: 50,
+      overscan: 2,
+      getKey: (item) => item.id,
+      createRow: (item) => {
+        const row = document.createElement('li');
+        row.dataset.key = item.id;
+        row.textContent = item.text;
+        return row;
+      },
+      updateRow,
+    });
+  });
+
+  afterEach(() => {
+    list.dispose();
+    container.remove();
+    vi.useRealTimers();
+  });
+
+  it('should only render the rows around the visible part', () => {
+    list.setItems(items(1000));
+
+    expect(renderedKeys()).toHaveLength(8);
+    expect(rowOf('item7').style.transform).toBe('translateY(350px)');
+    expect(container.firstElementChild.style.height).toBe('50000px');
+  });
+
+  it('should render the rows of the new range once per frame when scrolled, and keep the ones still in it', () => {
+    list.setItems(items(1000));
+    const row = rowOf('item5');
+
+    container.scrollTop = 250;
+    container.dispatchEvent(new Event('scroll'));
+    container.dispatchEvent(new Event('scroll'));
+    expect(renderedKeys()).toHaveLength(8);
+
+    vi.advanceTimersByTime(20);
+    expect(renderedKeys().sort()).toEqual(
+      items(13)
+        .slice(3)
+        .map(({ id }) => id)
+        .sort()
+    );
+    expect(rowOf('item5')).toBe(row);
+    expect(updateRow).not.toHaveBeenCalled();
+  });
+
+  it('should only update the rows of the changed keys and move the other ones', () => {
+    const [first, second, third] = items(3);
+    list.setItems([first, second, third]);
+    const firstRow = rowOf('item0');
+
+    list.setItems([{ ...second, text: 'Changed' }, first, third], new Set(['item1']));
+
+    expect(updateRow).toHaveBeenCalledTimes(1);
+    expect(rowOf('item1').textContent).toBe('Changed');
+    expect(rowOf('item0')).toBe(firstRow);
+    expect(firstRow.style.transform).toBe('translateY(50px)');
+  });
+
+  it('should remove the rows of the items that are gone', () => {
+    list.setItems(items(3));
+
+    list.setItems(items(3).slice(1), new Set());
+
+    expect(renderedKeys()).toEqual(['item1', 'item2']);
+  });
+});
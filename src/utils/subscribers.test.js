@@ -0,0 +1,35 @@
+import { describe, expect, it, vi } from 'vitest';
+import { addSubscriber, notifySubscribers } from './subscribers';
+
+describe('subscribers', () => {
+  it('should notify the subscribers until they unsubscribe', () => {
+    const subscribers = [];
+    const callback = vi.fn();
+    const unsubscribe = addSubscriber(subscribers, callback);
+
+    notifySubscribers(subscribers, 1);
+    unsubscribe();
+    unsubscribe();
+    notifySubscribers(subscribers, 2);
+
+    expect(callback.mock.calls).toEqual([[1]]);
+  });
+
+  it('should notify the other subscribers when one fails or unsubscribes', () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const subscribers = [];
+    const last = vi.fn();
+    const unsubscribe = addSubscriber(subscribers, () => unsubscribe());
+    addSubscriber(subscribers, () => {
+      throw new Error('Subscriber failed');
+    });
+    addSubscriber(subscribers, last);
+
+    notifySubscribers(subscribers, 'value');
+
+    expect(last).toHaveBeenCalledWith('value');
+    expect(subscribers).toHaveLength(2);
+    expect(consoleError).toHaveBeenCalledTimes(1);
+    consoleError.mockRestore();
+  });
+});
@@ -0,0 +1,37 @@
+export type Subscriber<T> = (value: T) => void;
+
+/**
+ * Adds the callback to the list of subscribers.
+ *
+ * @param {Subscriber<T>[]} subscribers
+ * @param {Subscriber<T>} callback
+ * @returns {() => void} function to remove the callback, it can be called more than once
+ */
+export function addSubscriber<T>(subscribers: Subscriber<T>[], callback: Subscriber<T>): () => void {
+  subscribers.push(callback);
+
+  return () => {
+    const index = subscribers.indexOf(callback);
+    if (index !== -1) {
+      subscribers.splice(index, 1);
+    }
+  };
+}
+
+/**
+ * Calls every subscriber with the value. A failing subscriber is logged and does not stop the other ones,
+ * and a subscriber that unsubscribes while it is called does not make the next one skipped.
+ *
+ * @param {Subscriber<T>[]} subscribers
+ * @param {T} value
+ * @returns {void}
+ */
+export function notifySubscribers<T>(subscribers: Subscriber<T>[], value: T): void {
+  [...subscribers].forEach((callback) => {
+    try {
+      callback(value);
+    } catch (error) {
+      console.error(error);
+    }
+  });
+}